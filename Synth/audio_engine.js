@@ -10,11 +10,57 @@ class AudioEngine {
         this.masterGain = null;
         this.compressor = null;
         this.clockWorker = null;
+        this.clockNode = null;       // AudioWorklet clock (preferred when available)
+        this.clockSource = 'worker'; // 'worker' | 'worklet'
+        this.clockStats = null;      // Scheduler jitter & late event diagnostics
+        this.statsWindow = 4.0;      // Seconds between diagnostic reports
+        this.lateEvents = [];        // Most recent late events { block, step, time, late } (see logLateEvent)
         this.bassSynths = [];
         this.nextNoteTime = 0.0;
         this.lookahead = 0.1;
         this.scheduleAheadTime = 0.1;
         this.interval = 25.0; 
+
+        // Conditional trig state for live playback (loop counters, PRE results)
+        this.trigState = window.TrigConditions ? new window.TrigConditions() : null;
+
+        // Automation lanes playing in the live session
+        this.autoState = window.Automation ? new window.Automation() : null;
+
+        // Delay / reverb return buses (built in init)
+        this.sendFx = window.SendFX ? new window.SendFX() : null;
+
+        // Sidechain ducking settings + live envelope state
+        this.sidechain = window.Sidechain ? new window.Sidechain() : null;
+        this.masterDuck = null;
+
+        // Master strip: fader + compressor settings (see Mixer), metered after the compressor
+        this.masterSettings = window.Mixer ? window.Mixer.defaultMaster() : null;
+        this.masterMeter = null;
+
+        // Completed passes per block (polymetric lanes keep phasing across repeats)
+        this.blockPasses = new Map();
+    }
+
+    // Master fader level (automation lanes hand the master back to it)
+    getMasterGain() {
+        return this.masterSettings ? window.Mixer.masterGain(this.masterSettings.volume) : 0.6;
+    }
+
+    setMasterParam(key, val) {
+        const st = this.masterSettings;
+        const range = window.Mixer.MASTER_RANGES[key];
+        if (!st || !range) return;
+        st[key] = Math.max(range[0], Math.min(range[1], Math.round(parseFloat(val) || 0)));
+        if (!this.ctx) return;
+        if (key === 'volume') this.masterGain.gain.setTargetAtTime(this.getMasterGain(), this.ctx.currentTime, 0.02);
+        else window.Mixer.applyCompressor(this.compressor, st, this.ctx.currentTime);
+    }
+
+    resetMaster() {
+        if (!this.masterSettings) return;
+        const def = window.Mixer.defaultMaster();
+        Object.keys(def).forEach(k => this.setMasterParam(k, def[k]));
     }
 
     init() {
@@ -24,20 +70,24 @@ class AudioEngine {
             this.ctx = new AC({ latencyHint: 'interactive' });
             
             this.masterGain = this.ctx.createGain();
-            this.masterGain.gain.value = 0.6;
+            this.masterGain.gain.value = this.getMasterGain();
 
             this.compressor = this.ctx.createDynamicsCompressor();
-            this.compressor.threshold.value = -3;
-            this.compressor.knee.value = 30;
-            this.compressor.ratio.value = 12;
-            this.compressor.attack.value = 0.003;
-            this.compressor.release.value = 0.25;
+            if (this.masterSettings) window.Mixer.applyCompressor(this.compressor, this.masterSettings);
 
-            this.masterGain.connect(this.compressor);
+            // Master -> Duck -> Compressor
+            this.masterDuck = this.ctx.createGain();
+            this.masterGain.connect(this.masterDuck);
+            this.masterDuck.connect(this.compressor);
             this.compressor.connect(this.ctx.destination);
+            if (window.Mixer) this.masterMeter = window.Mixer.createMeter(this.ctx, this.compressor);
+
+            if (this.sendFx) this.sendFx.init(this.ctx, this.masterGain, 60 / window.AppState.bpm);
 
             this.initSynths();
             this.initWorker();
+            this.initWorkletClock();
+            this.initInsertWorklet();
             
             if(window.logToScreen) window.logToScreen("Audio Engine Initialized");
         } catch (e) {
@@ -48,9 +98,9 @@ class AudioEngine {
 
     initSynths() {
         if (this.bassSynths.length === 0) this.addBassSynth('bass-1');
-        else this.bassSynths.forEach(s => s.init(this.ctx, this.masterGain));
+        else this.bassSynths.forEach(s => s.init(this.ctx, this.masterGain, this.sendFx));
         
-        if (window.drumSynth) window.drumSynth.init(this.ctx, this.masterGain);
+        if (window.drumSynth) window.drumSynth.init(this.ctx, this.masterGain, this.sendFx);
     }
 
     initWorker() {
@@ -58,7 +108,7 @@ class AudioEngine {
         try {
             this.clockWorker = new Worker('Synth/clock_worker.js');
             this.clockWorker.onmessage = (e) => {
-                if (e.data === "tick") this.scheduler();
+                if (e.data === "tick" && this.clockSource === 'worker') this.onClockTick();
             };
             this.clockWorker.postMessage({ interval: this.interval });
         } catch (e) {
@@ -66,6 +116,92 @@ class AudioEngine {
         }
     }
 
+    // Audio-thread clock. The worker keeps running the transport until the module is ready.
+    initWorkletClock() {
+        if (this.clockNode || !this.ctx.audioWorklet || !window.AudioWorkletNode) return;
+        this.ctx.audioWorklet.addModule('Synth/clock_worklet.js').then(() => {
+            const node = new AudioWorkletNode(this.ctx, 'nd23-clock', { numberOfInputs: 0, numberOfOutputs: 1 });
+            node.connect(this.ctx.destination); // Silent; keeps process() running
+            node.port.onmessage = (e) => {
+                if (e.data.type === "tick") this.onClockTick(e.data.time);
+            };
+            node.port.postMessage({ interval: this.interval });
+            this.clockNode = node;
+
+            // Hand over a running transport
+            if (window.AppState.isPlaying) {
+                this.postClock("stop");
+                node.port.postMessage("start");
+            }
+            this.clockSource = 'worklet';
+            if(window.logToScreen) window.logToScreen("Clock: AudioWorklet");
+        }).catch(e => {
+            console.warn("Worklet Clock Failed:", e);
+            if(window.logToScreen) window.logToScreen("Clock: Worker fallback", 'warn');
+        });
+    }
+
+    // Crusher inserts built before the processor was ready get rebuilt with it
+    initInsertWorklet() {
+        if (!window.InsertFX) return;
+        window.InsertFX.loadWorklet(this.ctx).then(ok => {
+            if (!ok) return;
+            this.bassSynths.forEach(s => s.setInserts(s.params.inserts));
+            if (window.drumSynth) window.drumSynth.channels.forEach(ch => window.drumSynth.setChannelInserts(ch.id, ch.inserts));
+        });
+    }
+
+    postClock(msg) {
+        if (this.clockSource === 'worklet' && this.clockNode) this.clockNode.port.postMessage(msg);
+        else if (this.clockWorker) this.clockWorker.postMessage(msg);
+    }
+
+    // --- CLOCK DIAGNOSTICS ---
+    resetClockStats() {
+        const now = this.ctx ? this.ctx.currentTime : 0;
+        this.clockStats = { since: now, lastTick: null, ticks: 0, jitterSum: 0, jitterMax: 0, events: 0, late: 0, lateMax: 0, firstLate: null };
+    }
+
+    static get LATE_LOG_SIZE() { return 64; }
+
+    // Every late event is kept in lateEvents; the screen only gets them grouped in the periodic report
+    logLateEvent(block, step, time, late) {
+        this.lateEvents.push({ block, step, time, late });
+        if (this.lateEvents.length > AudioEngine.LATE_LOG_SIZE) this.lateEvents.shift();
+        if (this.clockStats && !this.clockStats.firstLate) this.clockStats.firstLate = { block, step };
+    }
+
+    /**
+     * @param {number} tickTime - Audio time the tick was emitted at (worklet only)
+     */
+    onClockTick(tickTime) {
+        if (!window.AppState.isPlaying) return;
+        const st = this.clockStats;
+        if (st) {
+            const now = this.ctx.currentTime;
+            // Worklet: delay between the audio thread and the main thread; Worker: deviation from the tick interval
+            const jitter = (tickTime !== undefined)
+                ? Math.max(0, now - tickTime)
+                : (st.lastTick !== null ? Math.abs((now - st.lastTick) - this.interval / 1000) : 0);
+            st.lastTick = now;
+            st.ticks++;
+            st.jitterSum += jitter;
+            st.jitterMax = Math.max(st.jitterMax, jitter);
+        }
+        this.scheduler();
+        if (st && this.ctx.currentTime - st.since >= this.statsWindow) this.reportClockStats();
+    }
+
+    reportClockStats() {
+        const st = this.clockStats;
+        if (!st || !st.ticks) return;
+        const ms = (v) => (v * 1000).toFixed(1);
+        const first = st.firstLate ? `, first at block ${st.firstLate.block + 1} step ${st.firstLate.step + 1}` : '';
+        const msg = `Clock [${this.clockSource}] jitter avg ${ms(st.jitterSum / st.ticks)}ms max ${ms(st.jitterMax)}ms | late ${st.late}/${st.events} (max ${ms(st.lateMax)}ms${first})`;
+        if(window.logToScreen) window.logToScreen(msg, st.late ? 'warn' : 'info');
+        this.resetClockStats();
+    }
+
     resume() {
         if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
     }
@@ -73,7 +209,7 @@ class AudioEngine {
     addBassSynth(id) {
         if (this.bassSynths.find(s => s.id === id)) return;
         const s = new window.BassSynth(id);
-        if (this.ctx) s.init(this.ctx, this.masterGain);
+        if (this.ctx) s.init(this.ctx, this.masterGain, this.sendFx);
         this.bassSynths.push(s);
         if (window.timeMatrix && window.timeMatrix.registerTrack) window.timeMatrix.registerTrack(id);
         return s;
@@ -82,6 +218,7 @@ class AudioEngine {
     removeSynth(id) {
         const idx = this.bassSynths.findIndex(s => s.id === id);
         if (idx > -1) {
+            this.bassSynths[idx].dispose();
             this.bassSynths.splice(idx, 1);
             if (window.timeMatrix) window.timeMatrix.removeTrack(id);
             return true;
@@ -102,30 +239,64 @@ class AudioEngine {
 
         for (let i = this.bassSynths.length - 1; i >= 0; i--) {
             const synth = this.bassSynths[i];
-            if (!activeIds.has(synth.id)) this.bassSynths.splice(i, 1);
+            if (!activeIds.has(synth.id)) {
+                synth.dispose();
+                this.bassSynths.splice(i, 1);
+            }
         }
 
         activeIds.forEach(id => {
             if (!this.getSynth(id)) this.addBassSynth(id);
         });
+        this.bassSynths.forEach(s => s.pruneLocks());
     }
 
     // --- TRANSPORT ---
     startPlayback() {
         this.resume();
         if (!this.ctx) this.init();
+        const tm = window.timeMatrix;
         window.AppState.isPlaying = true;
         window.AppState.currentPlayStep = 0;
         window.AppState.currentPlayBlock = window.AppState.editingBlock;
+        if (window.AppState.playMode === 'song') {
+            // An arrangement plays from its start; a plain chain starts from the edited block
+            window.AppState.songPosition = tm.song.length ? 0 : window.AppState.editingBlock;
+            window.AppState.currentPlayBlock = tm.getSongOrder()[window.AppState.songPosition] || 0;
+            // Rehearsal: start inside the loop region
+            if (window.AppState.loop.enabled) {
+                const r = tm.normalizeLoop(window.AppState.loop);
+                this.jumpTo(r.startPos, r.startStep);
+            }
+        }
+        window.AppState.pendingCue = null;
         this.nextNoteTime = this.ctx.currentTime + 0.1;
+        // LFO phase is referenced to the transport origin (same as the offline render)
+        const firstBlk = tm.blocks[window.AppState.currentPlayBlock];
+        const originBeat = 60 / tm.getStepBpm(firstBlk, window.AppState.currentPlayStep, window.AppState.bpm);
+        this.bassSynths.forEach(s => s.restartLfos(this.nextNoteTime, originBeat));
+        if (this.trigState) {
+            this.trigState.reset();
+            this.trigState.beginCycle(tm.blocks[window.AppState.currentPlayBlock]);
+        }
+        if (this.autoState) this.autoState.reset();
+        if (this.sidechain) this.sidechain.reset();
+        this.blockPasses = new Map();
         window.visualQueue = [];
-        if (this.clockWorker) this.clockWorker.postMessage("start");
+        this.resetClockStats();
+        this.lateEvents = [];
+        this.postClock("start");
         if(window.logToScreen) window.logToScreen("PLAY");
     }
 
     stopPlayback() {
         window.AppState.isPlaying = false;
-        if (this.clockWorker) this.clockWorker.postMessage("stop");
+        this.postClock("stop");
+        this.reportClockStats();
+        // Automated targets go back to their controls once the already scheduled steps are over
+        if (this.autoState && this.ctx) {
+            this.autoState.release(Math.max(this.ctx.currentTime, this.nextNoteTime), { synths: this.bassSynths, drums: window.drumSynth, master: this.masterGain });
+        }
         if(window.logToScreen) window.logToScreen("STOP");
     }
 
@@ -138,57 +309,185 @@ class AudioEngine {
     // --- SCHEDULER ---
     scheduler() {
         while (this.nextNoteTime < this.ctx.currentTime + this.lookahead) {
-            this.scheduleNote(window.AppState.currentPlayStep, window.AppState.currentPlayBlock, this.nextNoteTime);
+            // Events are timed against the audio clock: anything already in the past is late
+            const late = this.ctx.currentTime - this.nextNoteTime;
+            if (this.clockStats) {
+                this.clockStats.events++;
+                if (late > 0) {
+                    this.clockStats.late++;
+                    this.clockStats.lateMax = Math.max(this.clockStats.lateMax, late);
+                }
+            }
+            if (late > 0) this.logLateEvent(window.AppState.currentPlayBlock, window.AppState.currentPlayStep, this.nextNoteTime, late);
+            this.scheduleNote(window.AppState.currentPlayStep, window.AppState.currentPlayBlock, this.nextNoteTime, Math.max(0, late));
             this.advanceNote();
         }
     }
 
-    scheduleNote(step, block, time) {
-        window.visualQueue.push({ step, block, time });
-        const data = window.timeMatrix.getStepData(step, block);
-        if (!data) return;
+    /** @param {number} late - Seconds the event was already behind the audio clock when scheduled */
+    scheduleNote(step, block, time, late = 0) {
+        const pass = this.blockPasses.get(window.timeMatrix.blocks[block]) || 0;
+        window.visualQueue.push({ step, block, time, pass, late });
+        const data = window.timeMatrix.getStepData(step, block, pass);
+        if (!data || !data.block) return;
+
+        const secPerStep = window.timeMatrix.getSecPerStep(data.block, window.AppState.bpm, step);
+        // Song lanes follow the arrangement (pattern mode only plays block lanes)
+        const songStep = window.AppState.playMode === 'song' ? window.timeMatrix.getSongStepOffset(window.AppState.songPosition) + step : null;
+        this.triggerStep(data, step, time, secPerStep, {
+            drums: window.drumSynth, synths: this.bassSynths, trig: this.trigState,
+            auto: this.autoState, master: this.masterGain, sends: this.sendFx, songStep,
+            duck: this.sidechain, masterDuck: this.masterDuck,
+            audible: window.Mixer ? window.Mixer.getAudible(this.bassSynths, window.drumSynth) : null
+        });
+    }
 
-        // Play Drums
-        if (data.drums && window.drumSynth) {
-            data.drums.forEach(id => window.drumSynth.play(id, time));
+    /**
+     * Fires one step into the given voices. Shared by live playback and offline render.
+     * @param {object} out - Target voices & state: { drums: DrumSynth, synths: BassSynth[], trig: TrigConditions,
+     *                       auto: Automation, master: GainNode, sends: SendFX,
+     *                       songStep: song position of the step (null = song lanes off),
+     *                       duck: Sidechain, masterDuck: GainNode,
+     *                       audible: track ids allowed to play (Mixer.getAudible, null = all) }
+     */
+    triggerStep(data, step, time, secPerStep, out) {
+        const { drums, synths, trig, auto } = out;
+        const groove = window.grooveEngine;
+
+        // Tempo-synced LFOs follow the step's tempo
+        const secPerBeat = secPerStep * window.timeMatrix.getStepsPerBeat(data.block);
+        if (synths) synths.forEach(s => s.updateLfos(time, secPerBeat));
+        if (out.sends) out.sends.update(time, secPerBeat);
+
+        // Automation before the notes: per-note params read the step's lane values
+        if (auto) auto.scheduleStep(data, step, time, secPerStep, out);
+
+        const grooveTime = (trackId) => {
+            if (!groove) return time;
+            return Math.max(0, time + groove.getOffset(step, data.block, trackId) * secPerStep);
+        };
+
+        // Play Drums (each hit carries the nudge of its own lane position)
+        if (data.drums && data.drums.length && drums) {
+            data.drums.forEach(hit => {
+                if (out.audible && !out.audible.has(`drum-${hit.id}`)) return;
+                if (trig && !trig.shouldFire(hit, `drum-${hit.id}`, data.block)) return;
+                const t = Math.max(0, grooveTime('drum') + (hit.nudge || 0) * secPerStep);
+                // Ratchets & flams expand into several triggers inside the step
+                window.DrumSynth.getTriggers(hit, secPerStep, drums.flamTime).forEach(tr => {
+                    const tt = Math.max(0, t + tr.offset);
+                    // Only hits that sound duck the targets
+                    if (drums.play(hit.id, tt, { ...hit, vel: tr.vel }) && out.duck) out.duck.trigger(hit.id, tt, out);
+                });
+            });
         }
 
         // Play Bass
-        if (data.tracks) {
-            Object.keys(data.tracks).forEach(tid => {
-                const noteInfo = data.tracks[tid][step];
+        if (data.notes) {
+            Object.keys(data.notes).forEach(tid => {
+                const noteInfo = data.notes[tid];
                 if (noteInfo) {
-                    const synth = this.bassSynths.find(s => s.id === tid);
-                    if (synth) synth.play(noteInfo.note, noteInfo.octave, time, 0.25, noteInfo.slide, noteInfo.accent);
+                    if (out.audible && !out.audible.has(tid)) return;
+                    if (trig && !trig.shouldFire(noteInfo, tid, data.block)) return;
+                    const synth = synths.find(s => s.id === tid);
+                    const t = Math.max(0, grooveTime(tid) + (noteInfo.nudge || 0) * secPerStep);
+                    const duration = window.TimeMatrix.getGateTime(noteInfo, secPerStep);
+                    if (synth) synth.play(noteInfo.note, noteInfo.octave, t, duration, noteInfo.slide, noteInfo.accent, noteInfo.locks);
                 }
             });
         }
     }
 
     advanceNote() {
-        const secPerBeat = 60.0 / window.AppState.bpm;
-        const secPerStep = secPerBeat / 4; 
-        this.nextNoteTime += secPerStep;
+        const tm = window.timeMatrix;
+        const block = tm.blocks[window.AppState.currentPlayBlock];
+        // Tempo ramps: every step lasts according to its own BPM
+        this.nextNoteTime += tm.getSecPerStep(block, window.AppState.bpm, window.AppState.currentPlayStep);
+
+        // Queued cue or loop end: jump instead of advancing
+        const jump = this.getTransportJump(block);
+        if (jump) {
+            if (window.AppState.currentPlayStep >= tm.getBlockLength(block) - 1) this.blockPasses.set(block, (this.blockPasses.get(block) || 0) + 1);
+            this.jumpTo(jump.pos, jump.step);
+            return;
+        }
+
         window.AppState.currentPlayStep++;
         
-        if (window.AppState.currentPlayStep >= window.timeMatrix.totalSteps) {
+        if (window.AppState.currentPlayStep >= tm.getBlockLength(block)) {
+            this.blockPasses.set(block, (this.blockPasses.get(block) || 0) + 1);
             window.AppState.currentPlayStep = 0;
-            window.AppState.currentPlayBlock++;
-            if (window.AppState.currentPlayBlock >= window.timeMatrix.blocks.length) {
-                window.AppState.currentPlayBlock = 0;
+            if (window.AppState.playMode === 'song') {
+                const order = tm.getSongOrder();
+                window.AppState.songPosition = (window.AppState.songPosition + 1) % order.length;
+                window.AppState.currentPlayBlock = order[window.AppState.songPosition];
+            } else {
+                // Pattern loop: switching the edited block queues it for the next cycle
+                window.AppState.currentPlayBlock = Math.min(window.AppState.editingBlock, tm.blocks.length - 1);
+            }
+            if (this.trigState) this.trigState.beginCycle(tm.blocks[window.AppState.currentPlayBlock]);
+        }
+    }
+
+    // --- LOOP REGION & CUES (song mode) ---
+    getTransportJump(block) {
+        const AS = window.AppState;
+        const tm = window.timeMatrix;
+        if (AS.playMode !== 'song') return null;
+
+        // Cues wait for the next bar line (or the block end)
+        if (AS.pendingCue !== null && tm.cues[AS.pendingCue]) {
+            const next = AS.currentPlayStep + 1;
+            const barSteps = tm.getStepsPerBeat(block) * 4;
+            if (next % barSteps === 0 || next >= tm.getBlockLength(block)) {
+                const cue = tm.cues[AS.pendingCue];
+                AS.pendingCue = null;
+                if (window.logToScreen) window.logToScreen(`Cue -> ${cue.pos + 1}.${cue.step + 1}`);
+                return cue;
             }
         }
+
+        if (AS.loop.enabled) {
+            const r = tm.normalizeLoop(AS.loop);
+            if (AS.songPosition === r.endPos && AS.currentPlayStep === r.endStep) return { pos: r.startPos, step: r.startStep };
+        }
+        return null;
+    }
+
+    jumpTo(pos, step) {
+        const tm = window.timeMatrix;
+        const order = tm.getSongOrder();
+        const p = Math.max(0, Math.min(order.length - 1, pos));
+        window.AppState.songPosition = p;
+        window.AppState.currentPlayBlock = order[p];
+        window.AppState.currentPlayStep = Math.max(0, Math.min(tm.getBlockLength(tm.blocks[order[p]]) - 1, step));
+        // Jumping (back) into a block counts as a new cycle for trig conditions
+        if (this.trigState) this.trigState.beginCycle(tm.blocks[order[p]]);
+    }
+
+    /** Queues a cue jump (applied on the next bar while playing) */
+    triggerCue(num) {
+        if (!window.timeMatrix.cues[num]) return false;
+        window.AppState.pendingCue = num;
+        return true;
     }
 
     previewNote(synthId, note, octave) {
         this.resume();
         const s = this.getSynth(synthId);
-        if (s) s.play(note, octave, this.ctx.currentTime);
+        if (s) s.preview(note, octave, this.ctx.currentTime);
     }
 
-    previewDrum(drumId) {
+    previewDrum(drumId, hit) {
         this.resume();
-        if (window.drumSynth) window.drumSynth.play(drumId, this.ctx.currentTime);
+        const ds = window.drumSynth;
+        if (!ds) return;
+        // Leave room for a flam grace note before "now"
+        const now = this.ctx.currentTime + (hit && hit.flam ? ds.flamTime : 0);
+        const secPerStep = window.timeMatrix.getSecPerStep(window.timeMatrix.blocks[window.AppState.editingBlock], window.AppState.bpm, window.AppState.selectedStep);
+        window.DrumSynth.getTriggers(hit, secPerStep, ds.flamTime).forEach(tr => {
+            ds.play(drumId, now + tr.offset, { ...hit, vel: tr.vel });
+        });
     }
 
     // --- OFFLINE RENDER (UPDATED) ---
@@ -197,14 +496,15 @@ class AudioEngine {
         if(window.logToScreen) window.logToScreen("Initializing Offline Render...");
         
         try {
-            const stepsPerBlock = window.timeMatrix.totalSteps;
-            const totalBlocks = window.timeMatrix.blocks.length;
+            const tm = window.timeMatrix;
+            // Renders follow the song arrangement, or just the loop region when chosen
+            const segments = tm.getPlaySegments(window.AppState.exportRange === 'loop' ? window.AppState.loop : null);
             const reps = window.AppState.exportReps;
             const bpm = window.AppState.bpm;
             
-            const secPerStep = (60.0 / bpm) / 4;
-            const totalSteps = stepsPerBlock * totalBlocks * reps;
-            const duration = totalSteps * secPerStep + 2.0; // +2s tail
+            // Blocks may differ in length, resolution & tempo
+            const loopTime = segments.reduce((acc, sg) => acc + tm.getSegmentTime(tm.blocks[sg.block], sg.from, sg.to, bpm), 0);
+            const duration = loopTime * reps + 2.0; // +2s tail
 
             const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
             // 2 channels, length in samples, sample rate
@@ -212,21 +512,39 @@ class AudioEngine {
             
             // Master Compressor for Offline
             const offCompressor = offCtx.createDynamicsCompressor();
-            offCompressor.threshold.value = -3;
-            offCompressor.ratio.value = 12;
+            if (this.masterSettings) window.Mixer.applyCompressor(offCompressor, this.masterSettings);
             
             const offMaster = offCtx.createGain();
-            offMaster.gain.value = 0.6;
+            offMaster.gain.value = this.getMasterGain();
             
-            offMaster.connect(offCompressor);
+            const offMasterDuck = offCtx.createGain();
+            offMaster.connect(offMasterDuck);
+            offMasterDuck.connect(offCompressor);
             offCompressor.connect(offCtx.destination);
 
+            // LFOs and the delay start at the transport origin tempo, like live playback
+            const firstBlk = tm.blocks[segments[0].block];
+            const originBeat = 60 / tm.getStepBpm(firstBlk, segments[0].from, bpm);
+
+            // Same return buses and insert processors as the live graph
+            if (window.InsertFX) await window.InsertFX.loadWorklet(offCtx);
+            let offSends = null;
+            if (this.sendFx) {
+                offSends = new window.SendFX();
+                offSends.settings = JSON.parse(JSON.stringify(this.sendFx.settings));
+                offSends.init(offCtx, offMaster, originBeat);
+            }
+
             // 1. CLONE BASS SYNTHS
             const offBassSynths = [];
             this.bassSynths.forEach(liveSynth => {
                 const s = new window.BassSynth(liveSynth.id);
-                s.init(offCtx, offMaster); // Connect to offline master
-                s.params = { ...liveSynth.params };
+                s.params.sends = { ...liveSynth.params.sends }; // Send gains and pan are built at their level
+                s.params.pan = liveSynth.params.pan;
+                s.init(offCtx, offMaster, offSends); // Connect to offline master
+                s.params = { ...liveSynth.params, sends: s.params.sends };
+                s.params.lfos = liveSynth.params.lfos.map(l => ({ ...l }));
+                s.params.mods = liveSynth.params.mods.map(m => ({ ...m }));
                 
                 // Ensure FX params are applied to the new offline nodes
                 if(s.fxChain) {
@@ -234,13 +552,21 @@ class AudioEngine {
                     s.setDistTone(s.params.distTone);
                     s.setDistGain(s.params.distGain);
                 }
+                if (window.InsertFX) s.setInserts(window.InsertFX.copySlots(liveSynth.params.inserts));
                 offBassSynths.push(s);
             });
+            offBassSynths.forEach(s => s.restartLfos(0, originBeat));
 
             // 2. CLONE DRUM SYNTH
             // Must create a new instance attached to offCtx
             const offDrum = new window.DrumSynth();
-            offDrum.init(offCtx, offMaster);
+            if (window.drumSynth) offDrum.channels.forEach(ch => {
+                const live = window.drumSynth.channels[ch.id];
+                ch.sends = { ...live.sends };
+                ch.pan = live.pan;
+                if (window.InsertFX) ch.inserts = window.InsertFX.copySlots(live.inserts);
+            });
+            offDrum.init(offCtx, offMaster, offSends);
             
             if (window.drumSynth) {
                 offDrum.setMasterVolume(window.drumSynth.masterVolume);
@@ -254,30 +580,37 @@ class AudioEngine {
 
             // 3. SCHEDULE EVENTS (Offline Timeline)
             if(window.logToScreen) window.logToScreen("Scheduling Events...");
+
+            // Seeded trig conditions so a render can be reproduced (seed 0 = pick a new one)
+            const seed = window.AppState.renderSeed || Math.floor(Math.random() * 999999) + 1;
+            const offTrig = new window.TrigConditions(seed);
+            const offAuto = window.Automation ? new window.Automation() : null;
+            const offDuck = this.sidechain ? new window.Sidechain(JSON.parse(JSON.stringify(this.sidechain.settings))) : null;
+            // Mute / solo as set when the render starts
+            const offAudible = window.Mixer ? window.Mixer.getAudible(this.bassSynths, window.drumSynth) : null;
+            if(window.logToScreen) window.logToScreen(`Render Seed: ${seed}`);
             
             let t = 0.0;
+            const passes = new Map(); // Block -> times played (lane phasing)
             for (let r = 0; r < reps; r++) {
-                for (let b = 0; b < totalBlocks; b++) {
-                    const blk = window.timeMatrix.blocks[b];
-                    for (let s = 0; s < stepsPerBlock; s++) {
-                        // Drums
-                        if (blk.drums[s]) {
-                            // Note: blk.drums contains Channel IDs (indices)
-                            blk.drums[s].forEach(id => offDrum.play(id, t));
-                        }
-                        // Bass
-                        if (blk.tracks) {
-                            Object.keys(blk.tracks).forEach(tid => {
-                                const n = blk.tracks[tid][s];
-                                if (n) {
-                                    const syn = offBassSynths.find(k => k.id === tid);
-                                    if (syn) syn.play(n.note, n.octave, t, 0.25, n.slide, n.accent);
-                                }
-                            });
-                        }
+                segments.forEach(sg => {
+                    const blk = tm.blocks[sg.block];
+                    const pass = passes.get(blk) || 0;
+                    const songOffset = tm.getSongStepOffset(sg.pos);
+                    offTrig.beginCycle(blk);
+                    for (let s = sg.from; s <= sg.to; s++) {
+                        const secPerStep = tm.getSecPerStep(blk, bpm, s);
+                        // Same step trigger (and groove) as live playback
+                        const data = tm.getStepData(s, sg.block, pass);
+                        if (data.block) this.triggerStep(data, s, t, secPerStep, {
+                            drums: offDrum, synths: offBassSynths, trig: offTrig,
+                            auto: offAuto, master: offMaster, sends: offSends, songStep: songOffset + s,
+                            duck: offDuck, masterDuck: offMasterDuck, audible: offAudible
+                        });
                         t += secPerStep;
                     }
-                }
+                    if (sg.to === tm.getBlockLength(blk) - 1) passes.set(blk, pass + 1);
+                });
             }
 
             // 4. RENDER
@@ -0,0 +1,164 @@
+/*
+ * AUTOMATION MODULE (v1.0)
+ * Breakpoint lanes for synth, drum and master levels.
+ * Block lanes live in block.automation (positions in block steps), song lanes in timeMatrix.automation
+ * (positions in song steps). A block lane overrides the song lane of the same target.
+ * One instance per playback session (live transport or offline render), like TrigConditions.
+ *
+ * Targets: '<synthId>.<param>' (BassSynth.AUTOMATABLE), 'drum.<channel>', 'drum.master', 'master'
+ */
+
+class Automation {
+    constructor() {
+        this.active = new Set(); // Targets driven by a lane on the last scheduled step
+    }
+
+    // Point curves: shape of the segment that starts at the point
+    static get CURVES() { return ['lin', 'exp']; }
+
+    // Ramp points written per step (exponential segments are approximated with linear pieces)
+    static get EXP_DIVISIONS() { return 4; }
+
+    static parseTarget(target) {
+        const i = target.lastIndexOf('.');
+        return i < 0 ? { owner: target, key: null } : { owner: target.substring(0, i), key: target.substring(i + 1) };
+    }
+
+    // Lane values use the unit of the target's own control
+    static range(target) {
+        return Automation.parseTarget(target).key === 'resonance' ? [0, 20] : [0, 100];
+    }
+
+    /** @returns {Array} [{ id, label }] for every target in the current project */
+    static getTargets() {
+        const targets = [{ id: 'master', label: 'MASTER' }];
+        const labels = { volume: 'VOL', cutoff: 'CUTOFF', resonance: 'RES', envMod: 'ENV MOD', decay: 'DECAY', accentInt: 'ACCENT', distTone: 'DIST TONE', distGain: 'DIST GAIN', wtPos: 'WT POS' };
+        if (window.audioEngine) {
+            window.audioEngine.bassSynths.forEach(s => {
+                window.BassSynth.AUTOMATABLE.forEach(p => targets.push({ id: `${s.id}.${p}`, label: `${s.id.toUpperCase()} ${labels[p] || p}` }));
+            });
+        }
+        if (window.drumSynth) {
+            targets.push({ id: 'drum.master', label: 'DRUMS VOL' });
+            window.drumSynth.channels.forEach(ch => targets.push({ id: `drum.${ch.id}`, label: `${ch.name} VOL` }));
+        }
+        return targets;
+    }
+
+    static interpolate(a, b, f, curve) {
+        if (curve === 'exp') return (a + 1) * Math.pow((b + 1) / (a + 1), f) - 1;
+        return a + (b - a) * f;
+    }
+
+    /**
+     * @param {Array} points - Sorted [{ pos, value, curve }]
+     * @returns {number|null} Lane value at pos (held before the first and after the last point)
+     */
+    static valueAt(points, pos) {
+        if (!points || !points.length) return null;
+        if (pos <= points[0].pos) return points[0].value;
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i], b = points[i + 1];
+            if (pos < b.pos) return Automation.interpolate(a.value, b.value, (pos - a.pos) / (b.pos - a.pos), a.curve);
+        }
+        return points[points.length - 1].value;
+    }
+
+    static curveAt(points, pos) {
+        let curve = 'lin';
+        (points || []).forEach(p => { if (p.pos <= pos) curve = p.curve; });
+        return curve;
+    }
+
+    /**
+     * Lane playing a target at a step: the block lane, else the song lane.
+     * @param {number|null} songStep - Song position of the step (null = song lanes off)
+     * @returns {object|null} { points, pos }
+     */
+    static getLane(block, step, songStep, target) {
+        const own = block && block.automation ? block.automation[target] : null;
+        if (own && own.length) return { points: own, pos: step };
+        const song = window.timeMatrix ? window.timeMatrix.automation[target] : null;
+        if (song && song.length && songStep !== null && songStep !== undefined) return { points: song, pos: songStep };
+        return null;
+    }
+
+    static valueFor(block, step, songStep, target) {
+        const lane = Automation.getLane(block, step, songStep, target);
+        return lane ? Automation.valueAt(lane.points, lane.pos) : null;
+    }
+
+    /** Writes [[time, value], ...] as ramps on an AudioParam */
+    static ramp(param, segs, map = (v) => v) {
+        segs.forEach(([t, v], i) => {
+            if (i === 0) param.setValueAtTime(map(v), t);
+            else param.linearRampToValueAtTime(map(v), t);
+        });
+    }
+
+    reset() {
+        this.active = new Set();
+    }
+
+    /**
+     * Schedules every lane playing during one step as AudioParam ramps. Shared by live playback and offline render.
+     * @param {object} out - { synths, drums, master (GainNode), songStep }
+     */
+    scheduleStep(data, step, time, secPerStep, out) {
+        const songStep = out.songStep;
+        const targets = new Set(Object.keys((data.block && data.block.automation) || {}));
+        if (songStep !== null && songStep !== undefined && window.timeMatrix) {
+            Object.keys(window.timeMatrix.automation).forEach(t => targets.add(t));
+        }
+
+        const playing = new Set();
+        targets.forEach(target => {
+            const lane = Automation.getLane(data.block, step, songStep, target);
+            if (!lane) return;
+            const n = Automation.curveAt(lane.points, lane.pos) === 'exp' ? Automation.EXP_DIVISIONS : 1;
+            const segs = [];
+            for (let k = 0; k <= n; k++) segs.push([time + (k / n) * secPerStep, Automation.valueAt(lane.points, lane.pos + k / n)]);
+            if (this.write(target, segs, out)) playing.add(target);
+        });
+
+        // Lanes that just ended hand the target back to its control
+        this.active.forEach(target => { if (!playing.has(target)) this.releaseTarget(target, time, out); });
+        this.active = playing;
+    }
+
+    /** Hands every automated target back to its control (transport stop) */
+    release(time, out) {
+        this.active.forEach(target => this.releaseTarget(target, time, out));
+        this.active = new Set();
+    }
+
+    write(target, segs, out) {
+        const { owner, key } = Automation.parseTarget(target);
+        if (owner === 'master') {
+            if (!out.master) return false;
+            Automation.ramp(out.master.gain, segs, v => Math.max(0, v) / 100);
+        } else if (owner === 'drum') {
+            if (!out.drums) return false;
+            out.drums.automate(key, segs);
+        } else {
+            const synth = (out.synths || []).find(s => s.id === owner);
+            if (!synth) return false;
+            synth.automate(key, segs);
+        }
+        return true;
+    }
+
+    releaseTarget(target, time, out) {
+        const { owner, key } = Automation.parseTarget(target);
+        if (owner === 'master') {
+            if (out.master) out.master.gain.setTargetAtTime(window.audioEngine.getMasterGain(), time, 0.02);
+        } else if (owner === 'drum') {
+            if (out.drums) out.drums.releaseAutomation(key, time);
+        } else {
+            const synth = (out.synths || []).find(s => s.id === owner);
+            if (synth) synth.releaseAutomation(key, time);
+        }
+    }
+}
+
+window.Automation = Automation;
@@ -10,6 +10,17 @@ class BassSynth {
         this.output = null; 
         this.fxChain = null; 
         this.lastFreq = 0;
+        this.voice = null; // Persistent mono voice (see getVoice)
+        this.lfoNodes = [];   // LFO instances (see initModulation)
+        this.modBus = {};     // Destination -> summing GainNode
+        this.modSlots = [];   // Active routing gains
+        this.autoSources = {}; // Automation offsets into the mod buses (see automate)
+        this.autoParams = {};  // Automated per-note params (read when a note starts)
+        this.sendNodes = {};   // Bus -> send GainNode (see connectSends)
+        this.insertChain = null; // Insert FX after the drive stage (see createInsertChain)
+        this.duckGain = null;    // Sidechain ducking (written by Sidechain.trigger)
+        this.meter = null;       // Mixer strip meter (post-pan AnalyserNode)
+        this.secPerBeat = 0.5;
         
         // Default Params (Expanded)
         this.params = {
@@ -22,12 +33,52 @@ class BassSynth {
             envMod: 60,
             decay: 40,
             accentInt: 50,    // Accent Intensity (How much accent affects filter)
-            waveform: 'sawtooth'
+            waveform: 'sawtooth',
+            filterType: 'lp12', // Filter model (see BassFilter.MODELS)
+            // Oscillator engine (see OscEngine): 'analog' = waveform above, 'fm' = 2-op FM, 'wavetable'
+            engine: 'analog',
+            fmRatio: 2,       // Modulator:carrier frequency ratio (1-16)
+            fmIndex: 30,      // Modulation index 0-100 (-> 0..10)
+            fmEnv: 50,        // Extra index at note start, decaying over fmDecay
+            fmDecay: 45,      // Index envelope time (see envTime)
+            wtTable: 0,       // Index in OscEngine.WAVETABLES
+            wtPos: 0,         // Table position 0-100
+            wtEnv: 0,         // Position sweep at note start, decaying over wtDecay
+            wtDecay: 45,
+            // Reese / Unison Engine (unison 1 = classic single oscillator)
+            unison: 1,        // Voices (1-7)
+            detune: 25,       // Spread (0-100 -> up to +/-50 cents)
+            width: 50,        // Stereo Spread of the voices
+            sub: 0,           // Sine Sub-Oscillator (-1 oct) Level
+            // Envelopes ('303' = classic fixed shapes from decay/accent, 'adsr' = the curves below)
+            envMode: '303',
+            ampAttack: 0,     // Times 0-100 (see envTime)
+            ampDecay: 60,
+            ampSustain: 0,    // Level %
+            ampRelease: 20,
+            fltAttack: 0,
+            fltDecay: 55,
+            fltSustain: 0,
+            fltRelease: 20,
+            velSens: 50,      // How much note velocity scales amp level and filter depth
+            // Modulation: 2 LFOs routed through 4 matrix slots { src: LFO index, dest, amount -100..100 }
+            lfos: [0, 1].map(() => BassSynth.defaultLfo()),
+            mods: [0, 1, 2, 3].map(() => ({ src: 0, dest: '', amount: 0 })),
+            // Insert FX slots { type, bypass, params } in signal order (see InsertFX)
+            inserts: [],
+            // Send FX levels { bus: 0-100 } (see SendFX)
+            sends: typeof window.SendFX !== 'undefined' ? window.SendFX.defaultSends() : {},
+            // Mixer strip: pan -100..100, mute, solo (see Mixer)
+            pan: 0,
+            mute: false,
+            solo: false
         };
     }
 
-    init(audioContext, destinationNode) {
+    /** @param {SendFX} sendFx - Return buses of the session (optional) */
+    init(audioContext, destinationNode, sendFx = null) {
         this.ctx = audioContext;
+        this.voice = null;
         
         try {
             if (typeof window.BassDistortion !== 'undefined') {
@@ -38,22 +89,76 @@ class BassSynth {
                 this.fxChain.setTone(this.params.distTone);
                 this.fxChain.setPostGain(this.params.distGain);
                 
-                this.fxChain.connect(destinationNode);
+                this.fxChain.connect(this.createInsertChain(this.createDuck(this.createModOutput(destinationNode))));
                 this.output = this.fxChain.input; 
             } else {
                 console.warn("BassDistortion class missing, running clean.");
                 this.output = this.ctx.createGain();
-                this.output.connect(destinationNode);
+                this.output.connect(this.createInsertChain(this.createDuck(this.createModOutput(destinationNode))));
             }
         } catch (e) {
             console.error("Error initializing FX Chain:", e);
             this.output = this.ctx.createGain();
             this.output.connect(destinationNode);
         }
+
+        this.connectSends(sendFx);
+        this.initModulation();
+    }
+
+    // --- Insert FX ---
+    // Distortion -> Inserts -> ModAmp
+    createInsertChain(destinationNode) {
+        if (typeof window.InsertChain === 'undefined') return destinationNode;
+        this.insertChain = new window.InsertChain(this.ctx);
+        this.insertChain.output.connect(destinationNode);
+        this.insertChain.build(this.params.inserts);
+        return this.insertChain.input;
+    }
+
+    // Inserts -> Duck -> ModAmp (sends are post-duck)
+    createDuck(destinationNode) {
+        this.duckGain = this.ctx.createGain();
+        this.duckGain.connect(destinationNode);
+        return this.duckGain;
+    }
+
+    setInserts(slots) {
+        this.params.inserts = slots;
+        if (this.insertChain) this.insertChain.build(slots);
+    }
+
+    setInsertParam(index, key, val) {
+        const slot = this.params.inserts[index];
+        if (!slot || !(key in slot.params)) return;
+        slot.params[key] = Math.max(0, Math.min(100, val));
+        if (this.insertChain) this.insertChain.setParam(index, key, slot.params[key]);
+    }
+
+    // --- Send FX ---
+    // Post-fader, post-pan taps into the shared return buses
+    connectSends(sendFx) {
+        const source = this.modPan || this.modAmp;
+        this.sendNodes = sendFx && source ? sendFx.connectSends(source, this.params.sends) : {};
+    }
+
+    setSend(bus, val) {
+        this.params.sends = { ...this.params.sends, [bus]: Math.max(0, Math.min(100, val)) };
+        if (this.sendNodes[bus]) window.SendFX.setSendLevel(this.sendNodes[bus], this.params.sends[bus]);
     }
 
     // --- Params Setters ---
     setVolume(val) { this.params.volume = val; }
+
+    // --- Mixer Strip ---
+    setPan(val) {
+        this.params.pan = Math.max(-100, Math.min(100, Math.round(val)));
+        if (this.modPan) this.modPan.pan.setTargetAtTime(this.params.pan / 100, this.ctx.currentTime, 0.02);
+    }
+
+    setMute(on) { this.params.mute = !!on; }
+
+    setSolo(on) { this.params.solo = !!on; }
     
     setDistortion(val) { 
         this.params.distortion = val; 
@@ -70,62 +175,563 @@ class BassSynth {
         if(this.fxChain && this.fxChain.setPostGain) this.fxChain.setPostGain(val);
     }
 
+    // Drops the distortion lock shapers of drive values no step of this synth locks anymore (lock edits, project load)
+    pruneLocks() {
+        if (!this.fxChain || !window.timeMatrix) return;
+        const used = new Set();
+        window.timeMatrix.blocks.forEach(b => (b.tracks[this.id] || []).forEach(n => {
+            if (n && n.locks && n.locks.distortion !== undefined) used.add(Math.max(0, Math.min(100, n.locks.distortion)));
+        }));
+        this.fxChain.pruneLocks(used);
+    }
+
     setCutoff(val) { this.params.cutoff = val; }
     setResonance(val) { this.params.resonance = val; }
     setEnvMod(val) { this.params.envMod = val; }
     setDecay(val) { this.params.decay = val; }
     setAccentInt(val) { this.params.accentInt = val; }
     setWaveform(val) { this.params.waveform = val; }
+    // Params a single step can override (parameter locks, see play)
+    static get LOCKABLE() {
+        return ['cutoff', 'resonance', 'envMod', 'decay', 'accentInt', 'distortion', 'distTone', 'waveform', 'filterType', 'engine', 'wtTable', 'fmIndex', 'wtPos'];
+    }
 
-    // --- Play Note ---
-    play(note, octave, time, duration = 0.25, slide = false, accent = false) {
-        if (!this.ctx || !this.output) return;
+    // Params automation lanes can drive (see Automation)
+    static get AUTOMATABLE() {
+        return ['volume', 'cutoff', 'resonance', 'envMod', 'decay', 'accentInt', 'distTone', 'distGain', 'wtPos'];
+    }
 
-        // 1. Frecuencia MIDI
+    setFilterType(val) {
+        const models = typeof window.BassFilter !== 'undefined' ? window.BassFilter.MODELS : ['lp12'];
+        this.params.filterType = models.includes(val) ? val : 'lp12';
+    }
+    setUnison(val) { this.params.unison = Math.max(1, Math.min(7, Math.round(val))); }
+    setDetune(val) { this.params.detune = val; }
+    setWidth(val) { this.params.width = val; }
+    setSub(val) { this.params.sub = val; }
+    setEnvMode(val) { this.params.envMode = val === 'adsr' ? 'adsr' : '303'; }
+
+    setEngine(val) {
+        const engines = typeof window.OscEngine !== 'undefined' ? window.OscEngine.ENGINES : ['analog'];
+        this.params.engine = engines.includes(val) ? val : 'analog';
+    }
+
+    setWavetable(idx) {
+        const count = typeof window.OscEngine !== 'undefined' ? window.OscEngine.WAVETABLES.length : 1;
+        this.params.wtTable = Math.max(0, Math.min(count - 1, parseInt(idx) || 0));
+    }
+
+    // FM / wavetable knobs, in CSV order
+    static get ENGINE_PARAMS() {
+        return ['fmRatio', 'fmIndex', 'fmEnv', 'fmDecay', 'wtTable', 'wtPos', 'wtEnv', 'wtDecay'];
+    }
+
+    setEngineParam(key, val) {
+        if (key === 'wtTable') this.setWavetable(val);
+        else if (key === 'fmRatio') this.params.fmRatio = Math.max(1, Math.min(16, Math.round(val)));
+        else this.params[key] = Math.max(0, Math.min(100, val));
+    }
+    setEnvParam(key, val) { this.params[key] = Math.max(0, Math.min(100, val)); }
+
+    // --- Envelopes ---
+    // Envelope params in CSV order
+    static get ENV_PARAMS() {
+        return ['ampAttack', 'ampDecay', 'ampSustain', 'ampRelease', 'fltAttack', 'fltDecay', 'fltSustain', 'fltRelease', 'velSens'];
+    }
+
+    // Envelope times are stored 0-100 and mapped exponentially to 1ms..8s
+    static envTime(val) {
+        return 0.001 * Math.pow(8000, Math.max(0, Math.min(100, val)) / 100);
+    }
+
+    /** @param {string} prefix - 'amp' or 'flt' */
+    getEnvelope(prefix) {
+        const p = this.params;
+        return {
+            attack: BassSynth.envTime(p[`${prefix}Attack`]),
+            decay: BassSynth.envTime(p[`${prefix}Decay`]),
+            sustain: p[`${prefix}Sustain`] / 100,
+            release: BassSynth.envTime(p[`${prefix}Release`])
+        };
+    }
+
+    // Steps only carry an accent flag: accented notes play at full velocity (same mapping as MIDI export)
+    getVelocityScale(accent) {
+        const velocity = accent ? 1 : 90 / 127;
+        return 1 - (this.params.velSens / 100) * (1 - velocity);
+    }
+
+    // ADSR on the VCA. Slides are legato: the running envelope carries on instead of retriggering.
+    applyAmpEnvelope(gain, time, duration, slide, peakVol) {
+        const env = this.getEnvelope('amp');
+        gain.cancelScheduledValues(time);
+        if (!slide) {
+            gain.setTargetAtTime(peakVol, time, Math.max(0.001, env.attack / 3));
+            gain.setTargetAtTime(peakVol * env.sustain, time + env.attack, env.decay / 4.5);
+        } else {
+            gain.setTargetAtTime(peakVol * env.sustain, time, env.decay / 4.5);
+        }
+        gain.setTargetAtTime(0, time + duration, env.release / 4.5);
+    }
+
+    // --- Modulation (LFOs + Matrix) ---
+    static defaultLfo() {
+        return typeof window.LFO !== 'undefined' ? window.LFO.defaultSettings() : { shape: 'sine', rate: 50, sync: false, division: '1/4', retrig: false };
+    }
+
+    // Post-FX tremolo gain and auto-pan: Distortion -> ModAmp -> ModPan -> Destination
+    createModOutput(destinationNode) {
+        this.modAmp = this.ctx.createGain();
+        this.modPan = this.ctx.createStereoPanner ? this.ctx.createStereoPanner() : null;
+        if (this.modPan) {
+            this.modPan.pan.value = this.params.pan / 100; // Strip pan; the pan mod bus adds to it
+            this.modAmp.connect(this.modPan);
+            this.modPan.connect(destinationNode);
+        } else {
+            this.modAmp.connect(destinationNode);
+        }
+        if (typeof window.Mixer !== 'undefined') this.meter = window.Mixer.createMeter(this.ctx, this.modPan || this.modAmp);
+        return this.modAmp;
+    }
+
+    initModulation() {
+        this.lfoNodes = [];
+        this.modBus = {};
+        this.modSlots = [];
+        this.autoSources = {};
+        this.autoParams = {};
+        if (typeof window.LFO === 'undefined') return;
+
+        // Fixed seeds per synth: sample & hold patterns match between live and render
+        const seed = [...this.id].reduce((acc, c) => acc * 31 + c.charCodeAt(0), 7);
+        this.params.lfos.forEach((_, i) => this.lfoNodes.push(new window.LFO(this.ctx, seed + i)));
+        Object.keys(window.LFO.DESTINATIONS).forEach(d => { this.modBus[d] = this.ctx.createGain(); });
+
+        // Synth-level targets (voice-level ones are wired in getVoice)
+        if (this.fxChain) this.modBus.drive.connect(this.fxChain.input.gain);
+        if (this.modAmp) this.modBus.volume.connect(this.modAmp.gain);
+        if (this.modPan) this.modBus.pan.connect(this.modPan.pan);
+
+        this.restartLfos(this.ctx.currentTime);
+    }
+
+    // Rebuilds the matrix gains from params.mods
+    applyModRouting() {
+        if (!this.lfoNodes.length) return;
+        this.modSlots.forEach(g => g.disconnect());
+        this.modSlots = [];
+        this.lfoNodes.forEach(l => l.output.disconnect());
+
+        this.params.mods.forEach(m => {
+            const lfo = this.lfoNodes[m.src];
+            const depth = window.LFO.DESTINATIONS[m.dest];
+            if (!lfo || depth === undefined || !m.amount) return;
+            const g = this.ctx.createGain();
+            g.gain.value = (m.amount / 100) * depth;
+            lfo.output.connect(g);
+            g.connect(this.modBus[m.dest]);
+            this.modSlots.push(g);
+        });
+    }
+
+    /**
+     * Restarts every LFO at phase 0. Called at the transport origin (live and offline alike).
+     * @param {number} secPerBeat - Beat length for tempo-synced LFOs
+     */
+    restartLfos(time, secPerBeat = this.secPerBeat) {
+        this.secPerBeat = secPerBeat;
+        this.applyModRouting();
+        this.lfoNodes.forEach((lfo, i) => lfo.start(time, secPerBeat, this.params.lfos[i]));
+    }
+
+    // Per step: follows tempo ramps and rate edits
+    updateLfos(time, secPerBeat) {
+        this.secPerBeat = secPerBeat;
+        this.lfoNodes.forEach(lfo => lfo.update(time, secPerBeat));
+    }
+
+    setLfo(idx, key, val) {
+        const lfo = this.params.lfos[idx];
+        if (!lfo) return;
+        lfo[key] = val;
+        const node = this.lfoNodes[idx];
+        if (!node || !this.ctx) return;
+        // A new waveform needs a new cycle buffer; rate changes apply right away
+        if (key === 'shape') node.start(this.ctx.currentTime, this.secPerBeat, lfo);
+        else node.update(this.ctx.currentTime, this.secPerBeat);
+    }
+
+    setModSlot(idx, key, val) {
+        const slot = this.params.mods[idx];
+        if (!slot) return;
+        slot[key] = key === 'amount' ? Math.max(-100, Math.min(100, val)) : val;
+        if (this.ctx) this.applyModRouting();
+    }
+
+    // Back to free-running default LFOs with an empty matrix
+    clearModulation() {
+        this.params.lfos = this.params.lfos.map(() => BassSynth.defaultLfo());
+        this.params.mods = this.params.mods.map(() => ({ src: 0, dest: '', amount: 0 }));
+        if (this.ctx) this.restartLfos(this.ctx.currentTime);
+    }
+
+    // Voice-level destinations: filter cutoff/resonance, oscillator pitch and wavetable position
+    connectVoiceMod(voice, connect = true) {
+        if (!this.modBus.cutoff) return;
+        const targets = [];
+        voice.filter.stages.forEach(st => targets.push([this.modBus.cutoff, st.node.detune], [this.modBus.resonance, st.node.Q]));
+        voice.stack.oscs.forEach(o => targets.push([this.modBus.pitch, o.detune]));
+        if (voice.stack.position && this.modBus.wtPos) targets.push([this.modBus.wtPos, voice.stack.position]);
+        targets.forEach(([bus, param]) => {
+            if (connect) bus.connect(param);
+            else { try { bus.disconnect(param); } catch(e) {} }
+        });
+    }
+
+    // --- Automation ---
+    // Volume, cutoff, resonance and wavetable position ride on the mod buses as offsets from the synth's own setting,
+    // so they keep moving across voice swaps and under held notes. Envelope params are read per note.
+    static get AUTO_OFFSETS() {
+        return {
+            volume: (v, p) => v / Math.max(1, p.volume) - 1,
+            cutoff: (v, p) => 1200 * Math.log2(window.BassFilter.cutoffHz(v) / window.BassFilter.cutoffHz(p.cutoff)),
+            resonance: (v, p) => v - p.resonance,
+            wtPos: (v, p) => (v - p.wtPos) / 50
+        };
+    }
+
+    getAutoSource(param) {
+        if (!this.autoSources[param] && this.modBus[param]) {
+            const src = this.ctx.createConstantSource();
+            src.offset.value = 0;
+            src.connect(this.modBus[param]);
+            src.start(this.ctx.currentTime);
+            this.autoSources[param] = src;
+        }
+        return this.autoSources[param] || null;
+    }
+
+    /** @param {Array} segs - [[time, value], ...] lane values for one step */
+    automate(param, segs) {
+        const toOffset = BassSynth.AUTO_OFFSETS[param];
+        if (toOffset) {
+            const src = typeof window.BassFilter !== 'undefined' ? this.getAutoSource(param) : null;
+            if (src) window.Automation.ramp(src.offset, segs, v => toOffset(v, this.params));
+        } else if (param === 'distTone' || param === 'distGain') {
+            if (!this.fxChain) return;
+            if (param === 'distTone') window.Automation.ramp(this.fxChain.toneFilter.frequency, segs, v => window.BassDistortion.toneHz(v));
+            else window.Automation.ramp(this.fxChain.postGain.gain, segs, v => v / 50);
+        } else {
+            this.autoParams[param] = segs[0][1];
+        }
+    }
+
+    releaseAutomation(param, time) {
+        if (this.autoSources[param]) this.autoSources[param].offset.setTargetAtTime(0, time, 0.02);
+        else if (param === 'distTone' && this.fxChain) this.fxChain.toneFilter.frequency.setTargetAtTime(window.BassDistortion.toneHz(this.params.distTone), time, 0.02);
+        else if (param === 'distGain' && this.fxChain) this.fxChain.postGain.gain.setTargetAtTime(this.params.distGain / 50, time, 0.02);
+        delete this.autoParams[param];
+    }
+
+    // --- Oscillator Stack (Reese) ---
+    // Detuned voices spread across the stereo field, plus an optional sub. Runs for the lifetime of the mono voice.
+    // Each voice plays the selected engine: one analog oscillator, an FM carrier/modulator pair or the wavetable frames.
+    createOscillators(params = this.params) {
+        const nodes = [];
+        const oscs = [];    // Pitched oscillators (LFO pitch target)
+        const sources = []; // Every scheduled source of the stack (started/stopped with the voice)
+        const voices = [];
+        const mix = this.ctx.createGain();
+        nodes.push(mix);
+
+        const hasEngines = typeof window.OscEngine !== 'undefined';
+        const engine = hasEngines ? params.engine : 'analog';
+
+        // Wavetable: position signal (base + envelope + LFO) -> one crossfade curve per frame
+        let position = null, posBase = null, waves = null, shapers = [];
+        if (engine === 'wavetable') {
+            waves = this.getWaves(params.wtTable);
+            position = this.ctx.createGain();
+            posBase = this.ctx.createConstantSource();
+            posBase.offset.value = window.OscEngine.positionSignal(params.wtPos);
+            posBase.connect(position);
+            sources.push(posBase);
+            shapers = waves.map((_, k) => {
+                const sh = this.ctx.createWaveShaper();
+                sh.curve = window.OscEngine.frameCurve(k, waves.length);
+                position.connect(sh);
+                return sh;
+            });
+            nodes.push(position, ...shapers);
+        }
+
+        const n = Math.max(1, Math.min(7, Math.round(params.unison || 1)));
+        for (let v = 0; v < n; v++) {
+            const pos = n === 1 ? 0 : (v / (n - 1)) * 2 - 1; // -1..1 across the stack
+
+            let out = mix;
+            let pan = null;
+            if (n > 1 && this.ctx.createStereoPanner) {
+                pan = this.ctx.createStereoPanner();
+                pan.connect(mix);
+                nodes.push(pan);
+                out = pan;
+            }
+
+            const tuned = []; // { osc, ratio: 1 | 'fm' }
+            let fm = null;
+            if (engine === 'fm') {
+                const carrier = this.ctx.createOscillator();
+                const mod = this.ctx.createOscillator();
+                const depth = this.ctx.createGain(); // Modulation depth in Hz (see applyEngineEnvelope)
+                depth.gain.value = 0;
+                mod.connect(depth);
+                depth.connect(carrier.frequency);
+                carrier.connect(out);
+                nodes.push(depth);
+                tuned.push({ osc: carrier, ratio: 1 }, { osc: mod, ratio: 'fm' });
+                fm = { mod, depth };
+            } else if (engine === 'wavetable') {
+                waves.forEach((wave, k) => {
+                    const osc = this.ctx.createOscillator();
+                    osc.setPeriodicWave(wave);
+                    const g = this.ctx.createGain();
+                    g.gain.value = 0; // Driven by the frame's crossfade curve
+                    shapers[k].connect(g.gain);
+                    osc.connect(g);
+                    g.connect(out);
+                    nodes.push(g);
+                    tuned.push({ osc, ratio: 1 });
+                });
+            } else {
+                const osc = this.ctx.createOscillator();
+                osc.type = params.waveform;
+                osc.connect(out);
+                tuned.push({ osc, ratio: 1 });
+            }
+            tuned.forEach(t => { oscs.push(t.osc); sources.push(t.osc); });
+            voices.push({ tuned, fm, pan, pos });
+        }
+        // Keep the stack level close to a single oscillator
+        mix.gain.value = 1 / Math.sqrt(n);
+
+        let sub = null;
+        if (params.sub > 0) {
+            const subOsc = this.ctx.createOscillator();
+            const subGain = this.ctx.createGain();
+            subOsc.type = 'sine';
+            subOsc.connect(subGain);
+            subGain.connect(mix);
+            nodes.push(subGain);
+            oscs.push(subOsc);
+            sources.push(subOsc);
+            sub = { osc: subOsc, gain: subGain };
+        }
+
+        return { engine, oscs, sources, nodes, voices, sub, n, position, posBase, output: mix };
+    }
+
+    // PeriodicWaves are built once per table and context
+    getWaves(tableIdx) {
+        if (!this.waveCache || this.waveCache.ctx !== this.ctx) this.waveCache = { ctx: this.ctx, tables: {} };
+        if (!this.waveCache.tables[tableIdx]) this.waveCache.tables[tableIdx] = window.OscEngine.createWaves(this.ctx, tableIdx);
+        return this.waveCache.tables[tableIdx];
+    }
+
+    /**
+     * Per-note engine envelopes: FM index and wavetable position jump by their env amount
+     * and fall back to the knob value. Slides are legato and only follow the knob.
+     */
+    applyEngineEnvelope(stack, freq, time, slide, params = this.params) {
+        const follow = (param, base, peak, decay) => {
+            param.cancelScheduledValues(time);
+            if (slide) {
+                param.setTargetAtTime(base, time, 0.02);
+            } else {
+                param.setValueAtTime(peak, time);
+                param.setTargetAtTime(base, time, BassSynth.envTime(decay) / 4.5);
+            }
+        };
+
+        if (stack.engine === 'fm') {
+            const modFreq = freq * params.fmRatio;
+            const index = params.fmIndex / 10;
+            const peak = index + params.fmEnv / 10;
+            stack.voices.forEach(v => follow(v.fm.depth.gain, index * modFreq, peak * modFreq, params.fmDecay));
+        } else if (stack.engine === 'wavetable') {
+            const base = window.OscEngine.positionSignal(params.wtPos);
+            const peak = window.OscEngine.positionSignal(params.wtPos + params.wtEnv);
+            follow(stack.posBase.offset, base, peak, params.wtDecay);
+        }
+    }
+
+    // Per-note pitch, glide, detune spread/drift, width and sub level
+    tuneOscillators(stack, freq, time, duration, slide) {
+        const glide = (param, target, from) => {
+            param.cancelScheduledValues(time);
+            if (slide) {
+                param.setValueAtTime(from, time);
+                param.exponentialRampToValueAtTime(target, time + 0.08);
+            } else {
+                param.setValueAtTime(target, time);
+            }
+        };
+
+        const spread = (this.params.detune || 0) / 2;
+        const width = (this.params.width || 0) / 100;
+        stack.voices.forEach(v => {
+            const baseDetune = v.pos * spread + (Math.random() * 4) - 2;
+            // Phase drift: each voice wanders slightly over the note
+            const drift = baseDetune + (Math.random() * 6) - 3;
+            v.tuned.forEach(t => {
+                const ratio = t.ratio === 'fm' ? this.params.fmRatio : t.ratio;
+                t.osc.detune.cancelScheduledValues(time);
+                t.osc.detune.setValueAtTime(baseDetune, time);
+                if (stack.n > 1) t.osc.detune.linearRampToValueAtTime(drift, time + duration + 0.5);
+                glide(t.osc.frequency, freq * ratio, this.lastFreq * ratio);
+            });
+            if (v.pan) v.pan.pan.setValueAtTime(v.pos * width, time);
+        });
+
+        if (stack.sub) {
+            glide(stack.sub.osc.frequency, freq / 2, this.lastFreq / 2);
+            stack.sub.gain.gain.setValueAtTime((this.params.sub / 100) * Math.sqrt(stack.n), time);
+        }
+    }
+
+    // --- Mono Voice ---
+    // One persistent oscillator stack -> filter -> VCA per synth. Rebuilt only when the stack layout or filter model changes.
+    getVoice(time, params = this.params) {
+        const layout = `${params.engine}|${params.waveform}|${params.engine === 'wavetable' ? params.wtTable : ''}|${Math.round(params.unison || 1)}|${params.sub > 0}|${params.filterType}`;
+        if (this.voice && this.voice.layout === layout) return this.voice;
+
+        if (this.voice) this.releaseVoice(this.voice, time);
+
+        this.voice = this.buildVoice(time, params, layout);
+        return this.voice;
+    }
+
+    // Oscillator stack -> filter -> VCA, started and silent. Not kept: getVoice and preview own what they build.
+    buildVoice(time, params, layout = null) {
+        const stack = this.createOscillators(params);
+        let filter;
+        if (typeof window.BassFilter !== 'undefined') {
+            filter = window.BassFilter.createModel(this.ctx, params.filterType);
+        } else {
+            const f = this.ctx.createBiquadFilter();
+            f.type = 'lowpass';
+            filter = { input: f, output: f, stages: [{ node: f }] };
+        }
+        const vca = this.ctx.createGain();
+        vca.gain.value = 0;
+
+        stack.output.connect(filter.input);
+        filter.output.connect(vca);
+        vca.connect(this.output);
+        this.connectVoiceMod({ stack, filter });
+
+        const start = Math.min(time, this.ctx.currentTime);
+        stack.sources.forEach(o => o.start(start));
+
+        return { layout, stack, filter, vca };
+    }
+
+    // Fades out and tears down a replaced voice (mod buses stay on it until it has stopped)
+    releaseVoice(voice, time) {
+        voice.vca.gain.cancelScheduledValues(time);
+        voice.vca.gain.setTargetAtTime(0, time, 0.005);
+        voice.stack.sources.forEach(o => o.stop(time + 0.1));
+        voice.stack.sources[0].onended = () => {
+            this.connectVoiceMod(voice, false);
+            try {
+                voice.stack.sources.forEach(o => o.disconnect());
+                voice.stack.nodes.forEach(n => n.disconnect());
+                voice.filter.input.disconnect();
+                voice.filter.output.disconnect();
+                voice.filter.stages.forEach(st => { st.node.disconnect(); if (st.level) st.level.disconnect(); });
+                voice.vca.disconnect();
+            } catch(e) {}
+        };
+    }
+
+    // Stops the persistent voice and tears down the lock shapers (synth removed from the project)
+    dispose() {
+        if (this.voice && this.ctx) this.releaseVoice(this.voice, this.ctx.currentTime);
+        this.voice = null;
+        if (this.ctx) this.lfoNodes.forEach(lfo => lfo.stop(this.ctx.currentTime));
+        if (this.ctx) Object.values(this.autoSources).forEach(src => src.stop(this.ctx.currentTime));
+        if (this.insertChain) this.insertChain.dispose();
+        if (this.fxChain) this.fxChain.dispose();
+    }
+
+    // --- Play Note ---
+    static noteFreq(note, octave) {
         const noteMap = {'C':0,'C#':1,'D':2,'D#':3,'E':4,'F':5,'F#':6,'G':7,'G#':8,'A':9,'A#':10,'B':11};
         const noteIndex = noteMap[note];
-        if (noteIndex === undefined) return;
+        if (noteIndex === undefined) return null;
         const midiNote = (octave + 1) * 12 + noteIndex;
-        const freq = 440 * Math.pow(2, (midiNote - 69) / 12);
+        return 440 * Math.pow(2, (midiNote - 69) / 12);
+    }
 
-        // 2. Nodos
-        const osc = this.ctx.createOscillator();
-        const vca = this.ctx.createGain(); 
-        
-        // 3. Oscilador
-        osc.type = this.params.waveform;
-        osc.detune.value = (Math.random() * 4) - 2; 
+    /**
+     * @param {number} duration - Gate length in seconds (note-off time)
+     * @param {object} locks - Step parameter locks ({ param: value }), applied to this note only
+     */
+    play(note, octave, time, duration = 0.25, slide = false, accent = false, locks = null) {
+        if (!this.ctx || !this.output) return;
 
-        // 4. Portamento (Glide)
-        if (!this.lastFreq) this.lastFreq = freq;
-        if (slide) {
-            osc.frequency.setValueAtTime(this.lastFreq, time);
-            osc.frequency.exponentialRampToValueAtTime(freq, time + 0.08);
-        } else {
-            osc.frequency.setValueAtTime(freq, time);
+        // 1. Frecuencia MIDI
+        const freq = BassSynth.noteFreq(note, octave);
+        if (freq === null) return;
+
+        // Automated envelope params, then parameter locks: this note plays with its own copy of the params
+        const params = (locks || Object.keys(this.autoParams).length) ? { ...this.params, ...this.autoParams, ...locks } : this.params;
+        if (locks && this.fxChain) this.fxChain.scheduleLock(time, time + duration, locks);
+
+        // 2. Voz Mono Persistente (a locked waveform/filter model swaps the voice at 'time')
+        const voice = this.getVoice(time, params);
+
+        // LFO phase retrigger (slides are legato and keep the running phase)
+        if (!slide) {
+            this.lfoNodes.forEach((lfo, i) => { if (this.params.lfos[i].retrig) lfo.start(time, this.secPerBeat, this.params.lfos[i]); });
         }
+
+        if (!this.lastFreq) this.lastFreq = freq;
+        this.triggerVoice(voice, freq, time, duration, slide, accent, params);
         this.lastFreq = freq;
+    }
 
-        // 5. Filtro
-        let filterNode = null;
-        let filterDecay = 0.5;
+    /**
+     * Auditions a note on its own throwaway voice. The persistent voice keeps whatever the
+     * sequencer queued on it, so previews while the transport runs never cut scheduled notes.
+     */
+    preview(note, octave, time, duration = 0.25) {
+        if (!this.ctx || !this.output) return;
+        const freq = BassSynth.noteFreq(note, octave);
+        if (freq === null) return;
 
+        const params = Object.keys(this.autoParams).length ? { ...this.params, ...this.autoParams } : this.params;
+        const voice = this.buildVoice(time, params);
+        const tail = this.triggerVoice(voice, freq, time, duration, false, false, params);
+        this.releaseVoice(voice, time + duration + tail);
+    }
+
+    /** @returns {number} Seconds the note keeps ringing after the gate off */
+    triggerVoice(voice, freq, time, duration, slide, accent, params) {
+        const vca = voice.vca;
+
+        // 3. Osciladores + 4. Portamento (Glide sobre el mismo oscilador)
+        this.tuneOscillators(voice.stack, freq, time, duration, slide);
+        this.applyEngineEnvelope(voice.stack, freq, time, slide, params);
+
+        const adsr = this.params.envMode === 'adsr';
+        const velScale = adsr ? this.getVelocityScale(accent) : 1;
+
+        // 5. Filtro: slides keep the running envelope, other notes retrigger it
+        let filterDecay = 0.5;
         if (typeof window.BassFilter !== 'undefined') {
-            // Pasamos accentInt a la creación del filtro
-            const fResult = window.BassFilter.create(
-                this.ctx, 
-                time, 
-                this.params, 
-                duration, 
-                slide, 
-                accent, 
-                this.params.accentInt
-            );
-            filterNode = fResult.node;
-            filterDecay = fResult.decayTime;
-        } else {
-            filterNode = this.ctx.createBiquadFilter();
-            filterNode.frequency.value = 1000; 
+            if (adsr) window.BassFilter.applyADSR(voice.filter, time, params, duration, slide, this.getEnvelope('flt'), velScale);
+            else if (!slide) filterDecay = window.BassFilter.apply(voice.filter, time, params, duration, slide, accent, params.accentInt);
         }
 
         // 6. Envolvente de Volumen (VCA)
@@ -136,35 +742,29 @@ class BassSynth {
         // pero respetando el techo del volumen global.
         let peakVol = 0.6 * volFactor; 
         if (accent) peakVol = 0.85 * volFactor; 
-        
-        vca.gain.setValueAtTime(0, time);
+
+        if (adsr) {
+            // Velocity replaces the fixed accent boost; release starts at the gate off
+            this.applyAmpEnvelope(vca.gain, time, duration, slide, 0.85 * volFactor * velScale);
+            return this.getEnvelope('amp').release;
+        }
+
+        // setTargetAtTime starts from whatever level the voice is at: no clicks on retrigger
+        vca.gain.cancelScheduledValues(time);
         
         if (slide) {
-            vca.gain.linearRampToValueAtTime(peakVol, time + 0.02);
-            vca.gain.setValueAtTime(peakVol, time + duration); 
-            vca.gain.linearRampToValueAtTime(0, time + duration + 0.05);
+            // Legato: the gate stays open, only the level follows the new note
+            vca.gain.setTargetAtTime(peakVol, time, 0.01);
         } else {
-            vca.gain.linearRampToValueAtTime(peakVol, time + 0.005);
-            const releaseTime = Math.max(0.18, filterDecay); 
+            vca.gain.setTargetAtTime(peakVol, time, 0.002);
+            // Tied notes (long gates) stretch the decay so they keep sounding while held
+            const releaseTime = Math.max(0.18, filterDecay, duration); 
             vca.gain.setTargetAtTime(0, time + 0.04, releaseTime / 4.5);
         }
 
-        // 7. Ruta de Señal
-        osc.connect(filterNode);
-        filterNode.connect(vca);
-        vca.connect(this.output); 
-
-        // 8. Ciclo de Vida
-        osc.start(time);
-        osc.stop(time + duration + 1.5); 
-
-        osc.onended = () => {
-            try {
-                osc.disconnect();
-                vca.disconnect();
-                filterNode.disconnect();
-            } catch(e) {}
-        };
+        // 7. Gate Off (a following slide note cancels it and keeps the voice open)
+        vca.gain.setTargetAtTime(0, time + duration, 0.01);
+        return 0.05;
     }
 }
 
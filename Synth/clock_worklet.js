@@ -0,0 +1,40 @@
+/*
+ * CLOCK WORKLET
+ * Runs on the audio rendering thread: ticks are counted in audio frames,
+ * so the scheduler is woken against the audio clock instead of setInterval.
+ * Each tick carries the audio time it was emitted at (used for drift reports).
+ */
+
+class ClockProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.running = false;
+        this.interval = 0.025; // s
+        this.nextTick = 0;
+
+        this.port.onmessage = (e) => {
+            if (e.data === "start") {
+                this.running = true;
+                this.nextTick = currentTime;
+            }
+            else if (e.data === "stop") {
+                this.running = false;
+            }
+            else if (e.data.interval) {
+                this.interval = e.data.interval / 1000;
+            }
+        };
+    }
+
+    process() {
+        if (this.running && currentTime >= this.nextTick) {
+            this.port.postMessage({ type: "tick", time: currentTime });
+            this.nextTick += this.interval;
+            // Never try to catch up on missed ticks
+            if (this.nextTick < currentTime) this.nextTick = currentTime + this.interval;
+        }
+        return true;
+    }
+}
+
+registerProcessor('nd23-clock', ClockProcessor);
@@ -0,0 +1,44 @@
+/*
+ * CRUSHER WORKLET
+ * Bit depth and sample-rate reduction for the CRUSHER insert (see InsertFX).
+ * 'hold' is the number of input samples each output sample is held for (fractional values allowed).
+ */
+
+class CrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 16, minValue: 1, maxValue: 16 },
+            { name: 'hold', defaultValue: 1, minValue: 1, maxValue: 64 }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.phase = 1;
+        this.held = [];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input.length) return true;
+
+        const bits = parameters.bits;
+        const hold = parameters.hold;
+        for (let i = 0; i < output[0].length; i++) {
+            this.phase += 1 / (hold.length > 1 ? hold[i] : hold[0]);
+            if (this.phase >= 1) {
+                this.phase -= Math.floor(this.phase);
+                const step = 2 / Math.pow(2, bits.length > 1 ? bits[i] : bits[0]);
+                for (let c = 0; c < output.length; c++) {
+                    const x = (input[c] || input[0])[i];
+                    this.held[c] = Math.round(x / step) * step;
+                }
+            }
+            for (let c = 0; c < output.length; c++) output[c][i] = this.held[c] || 0;
+        }
+        return true;
+    }
+}
+
+registerProcessor('nd23-crusher', CrusherProcessor);
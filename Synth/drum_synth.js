@@ -13,6 +13,9 @@ class DrumSynth {
         // Configuration State
         this.masterVolume = 85;
         
+        // Flam grace note distance (seconds before the main hit)
+        this.flamTime = 0.018;
+
         // 9 Fixed Slots with Defaults
         // Variants: 0=OFF, 1=Default, 2-8=Alt Sounds
         this.channels = [
@@ -26,6 +29,14 @@ class DrumSynth {
             { id: 7, type: 'crash', name: 'CRASH',  variant: 1, volume: 70, gainNode: null, colorId: 7 },
             { id: 8, type: 'perc',  name: 'PERC',   variant: 1, volume: 75, gainNode: null, colorId: 8 }
         ];
+        // Insert FX slots (see InsertFX), Send FX levels { bus: 0-100 } (see SendFX) and mixer strip (see Mixer) per channel
+        this.channels.forEach(ch => {
+            ch.inserts = [];
+            ch.sends = typeof window.SendFX !== 'undefined' ? window.SendFX.defaultSends() : {};
+            ch.pan = 0;
+            ch.mute = false;
+            ch.solo = false;
+        });
 
         // Updated High-Contrast Palette (v38)
         this.channelColors = [
@@ -41,7 +52,8 @@ class DrumSynth {
         ];
     }
 
-    init(audioContext, destination) {
+    /** @param {SendFX} sendFx - Return buses of the session (optional) */
+    init(audioContext, destination, sendFx = null) {
         this.ctx = audioContext;
         
         // Master Bus
@@ -53,7 +65,26 @@ class DrumSynth {
         this.channels.forEach(ch => {
             ch.gainNode = this.ctx.createGain();
             this.setChannelVolume(ch.id, ch.volume);
-            ch.gainNode.connect(this.masterGain);
+            // Fader -> Pan -> Drum Master
+            ch.panner = this.ctx.createStereoPanner ? this.ctx.createStereoPanner() : null;
+            const strip = ch.panner || ch.gainNode;
+            if (ch.panner) {
+                ch.panner.pan.value = ch.pan / 100;
+                ch.gainNode.connect(ch.panner);
+            }
+            strip.connect(this.masterGain);
+            ch.meter = typeof window.Mixer !== 'undefined' ? window.Mixer.createMeter(this.ctx, strip) : null;
+            // Voices -> Inserts -> Fader
+            ch.insertChain = null;
+            ch.input = ch.gainNode;
+            if (typeof window.InsertChain !== 'undefined') {
+                ch.insertChain = new window.InsertChain(this.ctx);
+                ch.insertChain.output.connect(ch.gainNode);
+                ch.insertChain.build(ch.inserts);
+                ch.input = ch.insertChain.input;
+            }
+            // Sends tap the channel strip (post-fader, post-pan)
+            ch.sendNodes = sendFx ? sendFx.connectSends(strip, ch.sends) : {};
         });
 
         this.createNoiseBuffer();
@@ -80,33 +111,143 @@ class DrumSynth {
         }
     }
 
+    // --- Mixer Strip ---
+    setChannelPan(id, val) {
+        const ch = this.channels[id];
+        if (!ch) return;
+        ch.pan = Math.max(-100, Math.min(100, Math.round(val)));
+        if (ch.panner) ch.panner.pan.setTargetAtTime(ch.pan / 100, this.ctx.currentTime, 0.02);
+    }
+
+    setChannelMute(id, on) {
+        if (this.channels[id]) this.channels[id].mute = !!on;
+    }
+
+    setChannelSolo(id, on) {
+        if (this.channels[id]) this.channels[id].solo = !!on;
+    }
+
+    setChannelInserts(id, slots) {
+        const ch = this.channels[id];
+        if (!ch) return;
+        ch.inserts = slots;
+        if (ch.insertChain) ch.insertChain.build(slots);
+    }
+
+    setChannelInsertParam(id, index, key, val) {
+        const ch = this.channels[id];
+        const slot = ch ? ch.inserts[index] : null;
+        if (!slot || !(key in slot.params)) return;
+        slot.params[key] = Math.max(0, Math.min(100, val));
+        if (ch.insertChain) ch.insertChain.setParam(index, key, slot.params[key]);
+    }
+
+    setChannelSend(id, bus, val) {
+        const ch = this.channels[id];
+        if (!ch) return;
+        ch.sends = { ...ch.sends, [bus]: Math.max(0, Math.min(100, val)) };
+        if (ch.sendNodes && ch.sendNodes[bus]) window.SendFX.setSendLevel(ch.sendNodes[bus], ch.sends[bus]);
+    }
+
+    // --- AUTOMATION ---
+    // key: channel id or 'master'. Lane values are fader positions (0-100), same curve as the faders.
+    getAutoNode(key) {
+        if (key === 'master') return this.masterGain;
+        const ch = this.channels[parseInt(key)];
+        return ch ? ch.gainNode : null;
+    }
+
+    /** @param {Array} segs - [[time, value], ...] lane values for one step */
+    automate(key, segs) {
+        const node = this.getAutoNode(key);
+        if (node) window.Automation.ramp(node.gain, segs, v => (Math.max(0, Math.min(100, v)) / 100) ** 1.5);
+    }
+
+    releaseAutomation(key, time) {
+        const node = this.getAutoNode(key);
+        if (!node) return;
+        const vol = key === 'master' ? this.masterVolume : this.channels[parseInt(key)].volume;
+        node.gain.setTargetAtTime((vol / 100) ** 1.5, time, 0.02);
+    }
+
     setChannelVariant(id, variant) {
         if(this.channels[id]) {
             this.channels[id].variant = parseInt(variant);
         }
     }
 
+    // Channel params a single hit can override (parameter locks)
+    static get LOCKABLE() { return ['volume', 'variant']; }
+
     // --- PLAYBACK ---
 
-    play(channelId, time) {
+    /**
+     * @param {number} channelId
+     * @param {number} time
+     * @param {object} hit - Optional hit dynamics: { vel: 1-127, decay: -50..50 (%), pitch: -12..12 (semitones), locks }
+     */
+    play(channelId, time, hit = {}) {
         if (!this.ctx) return;
-        const ch = this.channels[channelId];
+        let ch = this.channels[channelId];
+        if (!ch) return;
+
+        // Parameter locks: this hit only (the channel itself is left untouched)
+        const locks = hit.locks || {};
+        if (locks.variant !== undefined) ch = { ...ch, variant: parseInt(locks.variant) };
         
         // 0 = Disabled
-        if (!ch || ch.variant === 0) return;
+        if (ch.variant === 0) return;
+
+        const dyn = this.getDynamics(hit);
+        // Volume lock: rescale against the channel fader the hit goes through
+        if (locks.volume !== undefined && ch.volume > 0) {
+            dyn.gain *= Math.pow(Math.max(0, Math.min(100, locks.volume)) / ch.volume, 1.5);
+        }
 
         // Route based on type
         switch (ch.type) {
-            case 'kick':  this.synthKick(time, ch); break;
-            case 'snare': this.synthSnare(time, ch); break;
-            case 'clap':  this.synthClap(time, ch); break;
-            case 'chat':  this.synthHat(time, ch, false); break;
-            case 'ohat':  this.synthHat(time, ch, true); break;
-            case 'ltom':  this.synthTom(time, ch, 100); break;
-            case 'htom':  this.synthTom(time, ch, 250); break;
-            case 'crash': this.synthCrash(time, ch); break;
-            case 'perc':  this.synthPerc(time, ch); break;
+            case 'kick':  this.synthKick(time, ch, dyn); break;
+            case 'snare': this.synthSnare(time, ch, dyn); break;
+            case 'clap':  this.synthClap(time, ch, dyn); break;
+            case 'chat':  this.synthHat(time, ch, false, dyn); break;
+            case 'ohat':  this.synthHat(time, ch, true, dyn); break;
+            case 'ltom':  this.synthTom(time, ch, 100, dyn); break;
+            case 'htom':  this.synthTom(time, ch, 250, dyn); break;
+            case 'crash': this.synthCrash(time, ch, dyn); break;
+            case 'perc':  this.synthPerc(time, ch, dyn); break;
         }
+        return true;
+    }
+
+    /**
+     * Expands one hit into its individual triggers (ratchets + flam grace note).
+     * Shared by live playback, offline render and MIDI export.
+     * @param {object} hit - { vel, ratchet: 1-4, flam: bool }
+     * @param {number} stepLen - Length of one step (seconds or ticks)
+     * @param {number} flamLen - Flam pre-hit distance (same unit as stepLen)
+     * @returns {Array} [{ offset, vel }] relative to the step start
+     */
+    static getTriggers(hit, stepLen, flamLen) {
+        const vel = (hit && hit.vel !== undefined) ? hit.vel : 127;
+        const count = Math.max(1, Math.min(4, (hit && hit.ratchet) || 1));
+        const triggers = [];
+
+        if (hit && hit.flam) triggers.push({ offset: -flamLen, vel: Math.max(1, Math.round(vel * 0.45)) });
+        for (let i = 0; i < count; i++) triggers.push({ offset: (stepLen / count) * i, vel: vel });
+        return triggers;
+    }
+
+    // Maps hit data to multipliers used by every voice.
+    // Softer hits are quieter and darker (tone 0 = dull, 1 = full brightness).
+    getDynamics(hit) {
+        const vel = Math.max(1, Math.min(127, (hit && hit.vel !== undefined) ? hit.vel : 127));
+        const v = vel / 127;
+        return {
+            gain: v ** 1.5,
+            tone: 0.6 + (0.4 * v),
+            decay: 1 + (Math.max(-50, Math.min(50, (hit && hit.decay) || 0)) / 100),
+            pitch: Math.pow(2, Math.max(-12, Math.min(12, (hit && hit.pitch) || 0)) / 12)
+        };
     }
 
     // --- SYNTHESIS ALGORITHMS ---
@@ -122,7 +263,7 @@ class DrumSynth {
     }
 
     // 1. KICK (Punchy, Deep, Distorted)
-    synthKick(time, ch) {
+    synthKick(time, ch, dyn) {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
         
@@ -138,22 +279,26 @@ class DrumSynth {
             default: startFreq=150; 
         }
 
+        // Dynamics: softer kicks lose some of the click
+        startFreq *= dyn.pitch * (0.85 + 0.15 * dyn.tone);
+        decay *= dyn.decay;
+
         osc.type = type;
         osc.frequency.setValueAtTime(startFreq, time);
         osc.frequency.exponentialRampToValueAtTime(endFreq, time + decay);
 
-        gain.gain.setValueAtTime(1, time);
+        gain.gain.setValueAtTime(dyn.gain, time);
         gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
 
         osc.connect(gain);
-        gain.connect(ch.gainNode);
+        gain.connect(ch.input);
 
         osc.start(time);
         osc.stop(time + decay);
     }
 
     // 2. SNARE (Neuro, Tight, Trash)
-    synthSnare(time, ch) {
+    synthSnare(time, ch, dyn) {
         // A. Tone
         const osc = this.ctx.createOscillator();
         const oscGain = this.ctx.createGain();
@@ -186,25 +331,30 @@ class DrumSynth {
                 break;
         }
 
+        // Dynamics
+        toneFreq *= dyn.pitch;
+        noiseFilter.frequency.value *= dyn.tone * dyn.pitch;
+        const d = dyn.decay;
+
         // Envelopes
         osc.frequency.setValueAtTime(toneFreq, time);
         osc.frequency.exponentialRampToValueAtTime(toneFreq/2, time + 0.1);
-        oscGain.gain.setValueAtTime(0.5, time);
-        oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.15);
+        oscGain.gain.setValueAtTime(0.5 * dyn.gain, time);
+        oscGain.gain.exponentialRampToValueAtTime(0.01, time + 0.15 * d);
 
-        noiseGain.gain.setValueAtTime(0.8, time);
-        noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.25);
+        noiseGain.gain.setValueAtTime(0.8 * dyn.gain, time);
+        noiseGain.gain.exponentialRampToValueAtTime(0.01, time + 0.25 * d);
 
         // Connections
-        osc.connect(oscGain); oscGain.connect(ch.gainNode);
-        noise.connect(noiseFilter); noiseFilter.connect(noiseGain); noiseGain.connect(ch.gainNode);
+        osc.connect(oscGain); oscGain.connect(ch.input);
+        noise.connect(noiseFilter); noiseFilter.connect(noiseGain); noiseGain.connect(ch.input);
 
-        osc.start(time); osc.stop(time + 0.2);
-        noise.start(time); noise.stop(time + 0.3);
+        osc.start(time); osc.stop(time + 0.2 * d);
+        noise.start(time); noise.stop(time + 0.3 * d);
     }
 
     // 3. CLAP (Layered Noise Pulse)
-    synthClap(time, ch) {
+    synthClap(time, ch, dyn) {
         const noise = this.ctx.createBufferSource();
         noise.buffer = this.noiseBuffer;
         const filter = this.ctx.createBiquadFilter();
@@ -212,22 +362,23 @@ class DrumSynth {
 
         filter.type = 'bandpass';
         // Variants: different filter centers
-        filter.frequency.value = ch.variant === 1 ? 1200 : (ch.variant === 2 ? 800 : 2000);
+        filter.frequency.value = (ch.variant === 1 ? 1200 : (ch.variant === 2 ? 800 : 2000)) * dyn.tone * dyn.pitch;
         filter.Q.value = 1;
 
         // Clap Envelope (Multi-pulse simulation)
+        const g = dyn.gain, d = dyn.decay;
         gain.gain.setValueAtTime(0, time);
-        gain.gain.linearRampToValueAtTime(0.8, time + 0.01);
-        gain.gain.exponentialRampToValueAtTime(0.1, time + 0.02); // Slap 1
-        gain.gain.setValueAtTime(0.6, time + 0.03);
-        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.2); // Tail
+        gain.gain.linearRampToValueAtTime(0.8 * g, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.1 * g, time + 0.02); // Slap 1
+        gain.gain.setValueAtTime(0.6 * g, time + 0.03);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.2 * d); // Tail
 
-        noise.connect(filter); filter.connect(gain); gain.connect(ch.gainNode);
-        noise.start(time); noise.stop(time + 0.25);
+        noise.connect(filter); filter.connect(gain); gain.connect(ch.input);
+        noise.start(time); noise.stop(time + 0.25 * d);
     }
 
     // 4. HATS (FM Metallic + Filtered Noise)
-    synthHat(time, ch, isOpen) {
+    synthHat(time, ch, isOpen, dyn) {
         // Metallic FM base (6 Square oscillators at strange ratios)
         // For simplicity/CPU, we use filtered noise + high freq square
         const source = this.ctx.createBufferSource();
@@ -238,89 +389,92 @@ class DrumSynth {
         
         // Variant: Filter Freq
         const baseF = ch.variant === 1 ? 8000 : (ch.variant === 2 ? 5000 : 12000);
-        filter.frequency.value = baseF;
+        filter.frequency.value = baseF * dyn.tone * dyn.pitch;
 
         const gain = this.ctx.createGain();
-        const decay = isOpen ? 0.4 : 0.05;
-        const vol = isOpen ? 0.6 : 0.8;
+        const decay = (isOpen ? 0.4 : 0.05) * dyn.decay;
+        const vol = (isOpen ? 0.6 : 0.8) * dyn.gain;
 
         gain.gain.setValueAtTime(vol, time);
         gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
 
-        source.connect(filter); filter.connect(gain); gain.connect(ch.gainNode);
+        source.connect(filter); filter.connect(gain); gain.connect(ch.input);
         source.start(time); source.stop(time + decay + 0.1);
     }
 
     // 5. TOMS (Pitch Sweep)
-    synthTom(time, ch, basePitch) {
+    synthTom(time, ch, basePitch, dyn) {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
 
         // Variants: Pitch Modifiers
-        const p = ch.variant === 1 ? basePitch : (ch.variant === 2 ? basePitch * 0.7 : basePitch * 1.5);
+        const p = (ch.variant === 1 ? basePitch : (ch.variant === 2 ? basePitch * 0.7 : basePitch * 1.5)) * dyn.pitch;
+        const decay = 0.4 * dyn.decay;
 
         osc.frequency.setValueAtTime(p, time);
-        osc.frequency.exponentialRampToValueAtTime(p * 0.2, time + 0.4);
+        osc.frequency.exponentialRampToValueAtTime(p * 0.2, time + decay);
 
-        gain.gain.setValueAtTime(0.8, time);
-        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.4);
+        gain.gain.setValueAtTime(0.8 * dyn.gain, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
 
-        osc.connect(gain); gain.connect(ch.gainNode);
-        osc.start(time); osc.stop(time + 0.5);
+        osc.connect(gain); gain.connect(ch.input);
+        osc.start(time); osc.stop(time + decay + 0.1);
     }
 
     // 6. CRASH / RIDE
-    synthCrash(time, ch) {
+    synthCrash(time, ch, dyn) {
         // Multiple detuned squares + Noise
         const noise = this.ctx.createBufferSource();
         noise.buffer = this.noiseBuffer;
         const hp = this.ctx.createBiquadFilter();
         hp.type = 'highpass'; 
-        hp.frequency.value = ch.variant === 1 ? 2000 : 5000; // 1=Crash, 2=Ride-ish
+        hp.frequency.value = (ch.variant === 1 ? 2000 : 5000) * dyn.tone * dyn.pitch; // 1=Crash, 2=Ride-ish
 
         const gain = this.ctx.createGain();
-        gain.gain.setValueAtTime(0.5, time);
-        gain.gain.exponentialRampToValueAtTime(0.001, time + 1.5); // Long decay
+        gain.gain.setValueAtTime(0.5 * dyn.gain, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 1.5 * dyn.decay); // Long decay
 
-        noise.connect(hp); hp.connect(gain); gain.connect(ch.gainNode);
-        noise.start(time); noise.stop(time + 2.0);
+        noise.connect(hp); hp.connect(gain); gain.connect(ch.input);
+        noise.start(time); noise.stop(time + 2.0 * dyn.decay);
     }
 
     // 7. PERC / GLITCH (FM Synthesis)
-    synthPerc(time, ch) {
+    synthPerc(time, ch, dyn) {
         const osc = this.ctx.createOscillator();
         const mod = this.ctx.createOscillator();
         const modGain = this.ctx.createGain();
         const outGain = this.ctx.createGain();
 
         // FM Setup
+        const p = dyn.pitch;
         if (ch.variant === 1) { // Woodblock
-            osc.frequency.value = 800;
-            mod.frequency.value = 1200;
-            modGain.gain.value = 500;
+            osc.frequency.value = 800 * p;
+            mod.frequency.value = 1200 * p;
+            modGain.gain.value = 500 * dyn.tone;
         } else if (ch.variant === 2) { // Bleep
             osc.type = 'square';
-            osc.frequency.setValueAtTime(200, time);
-            osc.frequency.linearRampToValueAtTime(800, time + 0.1);
+            osc.frequency.setValueAtTime(200 * p, time);
+            osc.frequency.linearRampToValueAtTime(800 * p, time + 0.1);
             modGain.gain.value = 0;
         } else { // Metallic Glitch
-            osc.frequency.value = 400;
+            osc.frequency.value = 400 * p;
             mod.type = 'sawtooth';
-            mod.frequency.value = 60;
-            modGain.gain.value = 1000;
+            mod.frequency.value = 60 * p;
+            modGain.gain.value = 1000 * dyn.tone;
         }
 
         // Envelope
-        outGain.gain.setValueAtTime(0.7, time);
-        outGain.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
+        const decay = 0.15 * dyn.decay;
+        outGain.gain.setValueAtTime(0.7 * dyn.gain, time);
+        outGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
 
         mod.connect(modGain);
         modGain.connect(osc.frequency);
         osc.connect(outGain);
-        outGain.connect(ch.gainNode);
+        outGain.connect(ch.input);
 
         osc.start(time); mod.start(time);
-        osc.stop(time + 0.2); mod.stop(time + 0.2);
+        osc.stop(time + decay + 0.05); mod.stop(time + decay + 0.05);
     }
 }
 
@@ -9,21 +9,127 @@ class BassFilter {
      * @param {AudioContext} ctx 
      * @param {number} time - Current time
      * @param {object} params - Synth parameters
-     * @param {number} duration - Note duration
+     * @param {number} duration - Note duration (gate length, s)
      * @param {boolean} slide - Is slide active?
      * @param {boolean} accent - Is accent active?
      * @param {number} accentInt - Accent Intensity (0-100)
      */
     static create(ctx, time, params, duration, slide, accent, accentInt = 50) {
-        const filter = ctx.createBiquadFilter();
-        filter.type = 'lowpass';
+        const unit = BassFilter.createModel(ctx, params.filterType);
+        const decayTime = BassFilter.apply(unit, time, params, duration, slide, accent, accentInt);
+        return { node: unit.input, output: unit.output, unit: unit, decayTime: decayTime };
+    }
+
+    // --- MODELOS ---
+    static get MODELS() { return ['lp12', 'lp24', 'bp', 'hp', 'notch', 'formant']; }
+
+    static label(model) {
+        const map = { lp12: 'LP12', lp24: 'LP24', bp: 'BP', hp: 'HP', notch: 'NOTCH', formant: 'VOWEL' };
+        return map[model] || 'LP12';
+    }
+
+    // Formants (F1-F3, Hz) from dark to bright: cutoff sweeps U -> O -> A -> E -> I
+    static get VOWELS() {
+        return [[325, 700, 2530], [450, 800, 2830], [800, 1150, 2900], [400, 1900, 2700], [300, 2300, 3000]];
+    }
+
+    // Cutoff (Hz) -> formant k of the interpolated vowel
+    static formantFreq(hz, k) {
+        const pos = Math.max(0, Math.min(1, Math.log(Math.max(60, hz) / 60) / Math.log(9060 / 60)));
+        const v = BassFilter.VOWELS;
+        const x = pos * (v.length - 1);
+        const i = Math.min(v.length - 2, Math.floor(x));
+        const f = x - i;
+        return v[i][k] * Math.pow(v[i + 1][k] / v[i][k], f);
+    }
+
+    /**
+     * Builds a filter model. Envelopes, resonance and LFO modulation are applied to every stage,
+     * each one mapping the common cutoff (Hz) and resonance (0-28) to its own range.
+     * @returns {object} { model, input, output, stages: [{ node, freq(hz), q(res) }] }
+     */
+    static createModel(ctx, model = 'lp12') {
+        const biquad = (type) => { const f = ctx.createBiquadFilter(); f.type = type; return f; };
+
+        if (model === 'lp24') {
+            // Two cascaded 12 dB stages: only the second one resonates
+            const a = biquad('lowpass'), b = biquad('lowpass');
+            a.connect(b);
+            return { model, input: a, output: b, stages: [
+                { node: a, q: () => 0 },
+                { node: b, q: (r) => r * 0.9 }
+            ] };
+        }
+
+        if (model === 'formant') {
+            // Three parallel band-passes tuned to a vowel, summed with makeup gain
+            const input = ctx.createGain();
+            const output = ctx.createGain();
+            output.gain.value = 3.0;
+            const levels = [1, 0.6, 0.35];
+            const stages = levels.map((lvl, k) => {
+                const f = biquad('bandpass');
+                const g = ctx.createGain();
+                g.gain.value = lvl;
+                input.connect(f);
+                f.connect(g);
+                g.connect(output);
+                return { node: f, freq: (hz) => BassFilter.formantFreq(hz, k), q: (r) => 4 + r * 0.8, level: g };
+            });
+            return { model, input, output, stages };
+        }
+
+        // Single biquad models. Q is in dB for LP/HP, a bandwidth factor for BP/Notch
+        const types = { lp12: 'lowpass', bp: 'bandpass', hp: 'highpass', notch: 'notch' };
+        const qMaps = { bp: (r) => 0.7 + r * 0.6, notch: (r) => 0.5 + r * 0.25 };
+        const f = biquad(types[model] || 'lowpass');
+        return { model: types[model] ? model : 'lp12', input: f, output: f, stages: [{ node: f, q: qMaps[model] }] };
+    }
+
+    // Cutoff param (0-100) -> Hz, squared for a musical sweep
+    static cutoffHz(val) {
+        const t = val / 100;
+        return 60 + (t * t * 9000);
+    }
+
+    // Accepts a model unit or a bare BiquadFilterNode
+    static stagesOf(target) {
+        return target.stages || [{ node: target }];
+    }
+
+    // Schedules one envelope segment list on every stage: [['set'|'lin'|'tgt', hz, time, timeConstant]]
+    static scheduleFreq(target, time, points) {
+        BassFilter.stagesOf(target).forEach(st => {
+            const p = st.node.frequency;
+            const map = (hz) => Math.min(22050, st.freq ? st.freq(hz) : hz);
+            p.cancelScheduledValues(time);
+            points.forEach(([type, hz, t, tc]) => {
+                if (type === 'set') p.setValueAtTime(map(hz), t);
+                else if (type === 'lin') p.linearRampToValueAtTime(map(hz), t);
+                else p.setTargetAtTime(map(hz), t, tc);
+            });
+        });
+    }
+
+    static scheduleQ(target, time, res) {
+        BassFilter.stagesOf(target).forEach(st => {
+            st.node.Q.cancelScheduledValues(time);
+            st.node.Q.setValueAtTime(Math.min(30, st.q ? st.q(res) : res), time);
+        });
+    }
 
+    /**
+     * Schedules the cutoff/resonance envelope on an existing filter (persistent mono voice).
+     * Automation after 'time' is replaced, so a new note retriggers cleanly.
+     * @param {object} filter - Model unit (see createModel) or BiquadFilterNode
+     * @returns {number} Filter decay time (s)
+     */
+    static apply(filter, time, params, duration, slide, accent, accentInt = 50) {
         // Mapeo de intensidad de acento (0 a 1.0)
         const accFactor = accentInt / 100;
 
         // --- FRECUENCIA BASE (Logarítmica Musical) ---
-        const t = params.cutoff / 100; 
-        const baseFreq = 60 + (t * t * 9000); 
+        const baseFreq = BassFilter.cutoffHz(params.cutoff);
 
         // --- RESONANCIA (Q Adaptativa) ---
         let qVal = params.resonance; // 0-20 raw
@@ -38,7 +144,7 @@ class BassFilter {
         // Compensación de agudos
         if (baseFreq > 5000) qVal *= 0.6;
         
-        filter.Q.value = Math.min(30, qVal);
+        BassFilter.scheduleQ(filter, time, qVal);
 
         // --- ENVOLVENTE (Modulation) ---
         // El acento también afecta cuánto se abre el filtro extra
@@ -61,11 +167,40 @@ class BassFilter {
         if (slide) decayTime = duration * 1.2;
 
         // --- AUTOMATIZACIÓN ---
-        filter.frequency.setValueAtTime(baseFreq, time);
-        filter.frequency.linearRampToValueAtTime(peakFreq, time + attackTime);
-        filter.frequency.setTargetAtTime(baseFreq, time + attackTime, decayTime / 3.5);
+        const points = [
+            ['set', baseFreq, time],
+            ['lin', peakFreq, time + attackTime],
+            ['tgt', baseFreq, time + attackTime, decayTime / 3.5]
+        ];
+        // Gate closed: whatever is left of the sweep falls back to the cutoff
+        if (duration > attackTime) points.push(['tgt', baseFreq, time + duration, 0.02]);
+        BassFilter.scheduleFreq(filter, time, points);
+
+        return decayTime;
+    }
+
+    /**
+     * ADSR cutoff envelope (BassSynth envMode 'adsr'). envMod sets the depth, scaled by velocity.
+     * @param {object} env - { attack, decay, sustain (0-1), release } in seconds
+     * @param {number} velScale - 0-1 velocity factor
+     */
+    static applyADSR(filter, time, params, duration, slide, env, velScale = 1) {
+        const baseFreq = BassFilter.cutoffHz(params.cutoff);
+        const depth = (params.envMod / 100) * 8000 * velScale;
+        const peakFreq = Math.min(22050, baseFreq + depth);
+        const sustainFreq = Math.min(22050, baseFreq + depth * env.sustain);
+
+        BassFilter.scheduleQ(filter, time, baseFreq > 5000 ? params.resonance * 0.6 : params.resonance);
 
-        return { node: filter, decayTime: decayTime };
+        const points = slide
+            ? [['tgt', sustainFreq, time, env.decay / 4.5]]
+            : [
+                ['set', baseFreq, time],
+                ['tgt', peakFreq, time, Math.max(0.001, env.attack / 3)],
+                ['tgt', sustainFreq, time + env.attack, env.decay / 4.5]
+            ];
+        points.push(['tgt', baseFreq, time + duration, env.release / 4.5]);
+        BassFilter.scheduleFreq(filter, time, points);
     }
 }
 
@@ -89,14 +224,20 @@ class BassDistortion {
         // 3. Post Gain (Makeup / Output Trim)
         this.postGain = this.ctx.createGain();
 
-        // Routing: Input -> Shaper -> Tone -> PostGain -> Output
-        this.input.connect(this.shaper);
+        // Main path gain: muted while a parameter-locked step plays through its own shaper
+        this.mainGain = this.ctx.createGain();
+        this.lockPaths = new Map(); // Drive amount -> { gain, shaper, until: end of its last locked step }
+
+        // Routing: Input -> Main -> Shaper -> Tone -> PostGain -> Output
+        this.input.connect(this.mainGain);
+        this.mainGain.connect(this.shaper);
         this.shaper.connect(this.toneFilter);
         this.toneFilter.connect(this.postGain);
         this.postGain.connect(this.output);
 
         // Init Params
         this.amount = 0;
+        this.tone = 100;
         this.cachedCurve = null;
         
         // Defaults
@@ -123,8 +264,75 @@ class BassDistortion {
         // Val 0-100
         // 0 = Dark (500Hz), 100 = Open (20kHz)
         // Mapping logarítmico para que se sienta natural
-        const hz = 500 + (Math.pow(val / 100, 2) * 19500);
-        this.toneFilter.frequency.setTargetAtTime(hz, this.ctx.currentTime, 0.05);
+        this.tone = val;
+        this.toneFilter.frequency.setTargetAtTime(BassDistortion.toneHz(val), this.ctx.currentTime, 0.05);
+    }
+
+    static toneHz(val) {
+        return 500 + (Math.pow(val / 100, 2) * 19500);
+    }
+
+    // Idle lock shapers kept for reuse; older idle ones are torn down
+    static get LOCK_PATHS() { return 4; }
+
+    /**
+     * Parameter locks for one note: drive amount and tone between 'time' and 'end'.
+     * Shapers can't be automated, so each locked amount gets its own (cached) parallel shaper
+     * and the signal is switched over for the duration of the step.
+     */
+    scheduleLock(time, end, locks) {
+        if (locks.distortion !== undefined && locks.distortion !== this.amount) {
+            const amount = Math.max(0, Math.min(100, locks.distortion));
+            let path = this.lockPaths.get(amount);
+            if (!path) {
+                this.pruneLocks(null, BassDistortion.LOCK_PATHS - 1);
+                path = { gain: this.ctx.createGain(), shaper: this.ctx.createWaveShaper(), until: 0 };
+                path.shaper.oversample = '4x';
+                path.shaper.curve = amount > 0 ? this._makeDistortionCurve(amount) : null;
+                path.gain.gain.value = 0;
+                this.input.connect(path.gain);
+                path.gain.connect(path.shaper);
+                path.shaper.connect(this.toneFilter);
+                this.lockPaths.set(amount, path);
+            }
+            path.until = Math.max(path.until, end);
+            this.mainGain.gain.setTargetAtTime(0, time, 0.003);
+            path.gain.gain.setTargetAtTime(1, time, 0.003);
+            this.mainGain.gain.setTargetAtTime(1, end, 0.003);
+            path.gain.gain.setTargetAtTime(0, end, 0.003);
+        }
+        if (locks.distTone !== undefined) {
+            this.toneFilter.frequency.setTargetAtTime(BassDistortion.toneHz(locks.distTone), time, 0.005);
+            this.toneFilter.frequency.setTargetAtTime(BassDistortion.toneHz(this.tone), end, 0.005);
+        }
+    }
+
+    /**
+     * Tears down lock shapers that no scheduled step still plays through.
+     * @param {Set} keep - Amounts still locked in the project (null = any)
+     * @param {number} limit - Idle shapers to keep at most, most recently used first
+     */
+    pruneLocks(keep = null, limit = BassDistortion.LOCK_PATHS) {
+        const now = this.ctx.currentTime;
+        const idle = [...this.lockPaths.entries()]
+            .filter(([, path]) => path.until + 0.05 < now)
+            .sort((a, b) => b[1].until - a[1].until);
+        idle.forEach(([amount, path], i) => {
+            if (i < limit && (!keep || keep.has(amount))) return;
+            this.removeLockPath(amount);
+        });
+    }
+
+    removeLockPath(amount) {
+        const path = this.lockPaths.get(amount);
+        try { this.input.disconnect(path.gain); } catch(e) {}
+        path.gain.disconnect();
+        path.shaper.disconnect();
+        this.lockPaths.delete(amount);
+    }
+
+    dispose() {
+        [...this.lockPaths.keys()].forEach(amount => this.removeLockPath(amount));
     }
 
     setPostGain(val) {
@@ -148,5 +356,147 @@ class BassDistortion {
     }
 }
 
+// --- 3. MULTIBAND DISTORTION (Neuro Split) ---
+// Input -> 3 Linkwitz-Riley bands -> per-band Shaper -> Band Gain -> Sum -> DC Block -> Output
+class MultibandDistortion {
+    static get BANDS() { return ['low', 'mid', 'high']; }
+    static get CURVES() { return ['soft', 'hard', 'fold', 'tube', 'rectify']; }
+
+    static curveLabel(curve) {
+        const map = { soft: 'SOFT', hard: 'HARD', fold: 'FOLD', tube: 'TUBE', rectify: 'RECT' };
+        return map[curve] || curve.toUpperCase();
+    }
+
+    // Crossovers 0-100: low 40..400 Hz, high 800 Hz..8 kHz
+    static lowHz(val) {
+        return 40 * Math.pow(10, Math.max(0, Math.min(100, val)) / 100);
+    }
+
+    static highHz(val) {
+        return 800 * Math.pow(10, Math.max(0, Math.min(100, val)) / 100);
+    }
+
+    /** Curves are shared by every instance (one per curve/drive pair) */
+    static makeCurve(curve, drive) {
+        MultibandDistortion.curveCache = MultibandDistortion.curveCache || new Map();
+        const key = `${curve}|${drive}`;
+        if (MultibandDistortion.curveCache.has(key)) return MultibandDistortion.curveCache.get(key);
+
+        const g = 1 + Math.pow(drive / 100, 2) * 29; // Pre-gain 1x .. 30x
+        const soft = (x) => Math.tanh(g * x) / Math.tanh(g);
+        const shapes = {
+            soft,
+            hard: (x) => Math.max(-1, Math.min(1, g * x)),
+            fold: (x) => Math.sin(Math.PI / 2 * g * x),
+            // Asymmetric bias: even harmonics
+            tube: (x) => (Math.tanh(g * x + 0.3) - Math.tanh(0.3)) / (Math.tanh(g - 0.3) + Math.tanh(0.3)),
+            // Blends towards full-wave rectification (octave up) as the drive rises
+            rectify: (x) => (1 - drive / 100) * soft(x) + (drive / 100) * Math.abs(soft(x))
+        };
+        const shape = shapes[curve] || soft;
+        const n = 8192;
+        const data = new Float32Array(n);
+        for (let i = 0; i < n; i++) data[i] = shape(i * 2 / (n - 1) - 1);
+        MultibandDistortion.curveCache.set(key, data);
+        return data;
+    }
+
+    constructor(audioContext) {
+        this.ctx = audioContext;
+        this.input = this.ctx.createGain();
+        this.output = this.ctx.createGain();
+
+        // Rectified bands carry DC
+        this.dcBlock = this.ctx.createBiquadFilter();
+        this.dcBlock.type = 'highpass';
+        this.dcBlock.frequency.value = 15;
+        this.dcBlock.connect(this.output);
+
+        // LR4 = two Butterworth stages; the low band gets the high crossover's allpass so the bands sum flat
+        const lr4 = (type, source) => {
+            const filters = [0, 1].map(() => {
+                const f = this.ctx.createBiquadFilter();
+                f.type = type;
+                f.Q.value = Math.SQRT1_2;
+                return f;
+            });
+            source.connect(filters[0]);
+            filters[0].connect(filters[1]);
+            return filters;
+        };
+        const lowLp = lr4('lowpass', this.input);
+        const lowAp = this.ctx.createBiquadFilter();
+        lowAp.type = 'allpass';
+        lowAp.Q.value = Math.SQRT1_2;
+        lowLp[1].connect(lowAp);
+        const midHp = lr4('highpass', this.input);
+        const midLp = lr4('lowpass', midHp[1]);
+        const highHp = lr4('highpass', this.input);
+
+        // Filters tuned by each crossover
+        this.crossovers = { low: [...lowLp, ...midHp], high: [...midLp, ...highHp, lowAp] };
+
+        this.bands = {};
+        [['low', lowAp], ['mid', midLp[1]], ['high', highHp[1]]].forEach(([band, source]) => {
+            const shaper = this.ctx.createWaveShaper();
+            shaper.oversample = '4x';
+            const gain = this.ctx.createGain();
+            source.connect(shaper);
+            shaper.connect(gain);
+            gain.connect(this.dcBlock);
+            this.bands[band] = { shaper, gain, curve: 'soft', drive: 0, level: 50 };
+        });
+
+        // Defaults: clean sub, tube-driven mids, clipped highs
+        this.crossover = { low: 48, high: 50 }; // ~120 Hz, ~2.5 kHz
+        this.setCrossover('low', 48);
+        this.setCrossover('high', 50);
+        this.setBandCurve('mid', 'tube');
+        this.setBandDrive('mid', 60);
+        this.setBandCurve('high', 'hard');
+        this.setBandDrive('high', 50);
+        this.setBandGain('high', 40);
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    setCrossover(which, val) {
+        if (!this.crossovers[which]) return;
+        this.crossover[which] = val;
+        const hz = which === 'low' ? MultibandDistortion.lowHz(val) : MultibandDistortion.highHz(val);
+        this.crossovers[which].forEach(f => f.frequency.setTargetAtTime(hz, this.ctx.currentTime, 0.05));
+    }
+
+    setBandCurve(band, curve) {
+        const b = this.bands[band];
+        if (!b || !MultibandDistortion.CURVES.includes(curve)) return;
+        b.curve = curve;
+        this.updateShaper(b);
+    }
+
+    setBandDrive(band, val) {
+        const b = this.bands[band];
+        if (!b) return;
+        b.drive = Math.max(0, Math.min(100, Math.round(val)));
+        this.updateShaper(b);
+    }
+
+    // Val 0-100 (50 = unity, same range as BassDistortion.setPostGain)
+    setBandGain(band, val) {
+        const b = this.bands[band];
+        if (!b) return;
+        b.level = val;
+        b.gain.gain.setTargetAtTime(val / 50, this.ctx.currentTime, 0.05);
+    }
+
+    // Drive 0 = clean band (no shaper)
+    updateShaper(b) {
+        b.shaper.curve = b.drive > 0 ? MultibandDistortion.makeCurve(b.curve, b.drive) : null;
+    }
+}
+
 window.BassFilter = BassFilter;
-window.BassDistortion = BassDistortion;
\ No newline at end of file
+window.BassDistortion = BassDistortion;
+window.MultibandDistortion = MultibandDistortion;
\ No newline at end of file
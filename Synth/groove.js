@@ -0,0 +1,95 @@
+/*
+ * GROOVE MODULE (v1.0)
+ * Swing & Shuffle Templates for the Sequencer.
+ * Offsets are expressed as a fraction of one step (0.5 = half a sixteenth late).
+ * Resolution order: Track Template > Block Template > Global Swing (AppState.swing).
+ */
+
+class GrooveEngine {
+    constructor() {
+        // User-defined 16-step offset tables (Name -> Array of fractions)
+        this.userTemplates = {};
+
+        // Per-track template assignment (Synth ID or 'drum' -> Template Name)
+        this.trackGrooves = {};
+
+        // Built-in MPC-style swing presets (percent of the 8th-note pair)
+        this.presets = [54, 58, 62, 66, 71, 75];
+    }
+
+    // --- TEMPLATES ---
+
+    /** Builds a 16-step table that delays every off-beat sixteenth by the given swing %. */
+    static swingTable(percent) {
+        const amt = GrooveEngine.swingToOffset(percent);
+        return new Array(16).fill(0).map((_, i) => (i % 2 === 1 ? amt : 0));
+    }
+
+    /** MPC Swing: 50% = straight, 66% = triplet feel, 75% = dotted. */
+    static swingToOffset(percent) {
+        const p = Math.max(50, Math.min(75, percent));
+        return (p * 2 / 100) - 1;
+    }
+
+    getTemplateNames() {
+        return [...this.presets.map(p => `MPC${p}`), ...Object.keys(this.userTemplates)];
+    }
+
+    getTemplate(name) {
+        if (!name) return null;
+        if (this.userTemplates[name]) return this.userTemplates[name];
+        const m = /^MPC(\d+)$/.exec(name);
+        if (m) return GrooveEngine.swingTable(parseInt(m[1]));
+        return null;
+    }
+
+    setUserTemplate(name, offsets) {
+        const safeName = String(name).toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+        if (!safeName || /^MPC\d+$/.test(safeName)) return null;
+        const table = new Array(16).fill(0);
+        (offsets || []).slice(0, 16).forEach((v, i) => {
+            const n = parseFloat(v);
+            table[i] = isNaN(n) ? 0 : Math.max(-0.5, Math.min(0.5, n));
+        });
+        this.userTemplates[safeName] = table;
+        return safeName;
+    }
+
+    removeUserTemplate(name) {
+        delete this.userTemplates[name];
+        Object.keys(this.trackGrooves).forEach(k => { if (this.trackGrooves[k] === name) delete this.trackGrooves[k]; });
+        if (window.timeMatrix) window.timeMatrix.blocks.forEach(b => { if (b.groove === name) b.groove = null; });
+    }
+
+    setTrackGroove(trackId, name) {
+        if (name && this.getTemplate(name)) this.trackGrooves[trackId] = name;
+        else delete this.trackGrooves[trackId];
+    }
+
+    reset() {
+        this.trackGrooves = {};
+        this.userTemplates = {};
+        if (window.AppState) window.AppState.swing = 50;
+    }
+
+    // --- TIMING ---
+
+    /**
+     * @param {number} step - Step index inside the block
+     * @param {object} block - TimeMatrix block (may carry a 'groove' template name)
+     * @param {string} trackId - Synth ID or 'drum'
+     * @returns {number} Offset in steps
+     */
+    getOffset(step, block, trackId) {
+        const table = this.getTemplate(this.trackGrooves[trackId])
+            || this.getTemplate(block ? block.groove : null);
+
+        if (table) return table[step % table.length] || 0;
+
+        const swing = window.AppState ? window.AppState.swing : 50;
+        return step % 2 === 1 ? GrooveEngine.swingToOffset(swing) : 0;
+    }
+}
+
+window.GrooveEngine = GrooveEngine;
+window.grooveEngine = new GrooveEngine();
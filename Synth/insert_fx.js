@@ -0,0 +1,361 @@
+/*
+ * INSERT FX MODULE (v1.0)
+ * Ordered insert chains: after the drive stage of every BassSynth and before the fader of every drum channel.
+ * A slot is plain data { type, bypass, params } saved with the patch; InsertChain builds the nodes from it,
+ * so live playback and offline render run the same chain. Every knob is 0-100; choice params hold a list index.
+ */
+
+// Contexts the crusher worklet is loaded in (see InsertFX.loadWorklet)
+const crusherContexts = new WeakSet();
+
+class InsertFX {
+    static get TYPES() { return ['distortion', 'multiband', 'crusher', 'chorus', 'phaser', 'comb', 'eq', 'comp']; }
+
+    static label(type) {
+        const map = { distortion: 'DIST', multiband: 'MBAND', crusher: 'CRUSH', chorus: 'CHORUS', phaser: 'PHASER', comb: 'COMB', eq: 'EQ', comp: 'COMP' };
+        return map[type] || type.toUpperCase();
+    }
+
+    // Knobs per type: [key, label, default, choices (optional: value is an index into the list)]. Order is the CSV order.
+    static get PARAMS() {
+        const curves = window.MultibandDistortion.CURVES.map(c => window.MultibandDistortion.curveLabel(c));
+        return {
+            distortion: [['drive', 'DRV', 40], ['tone', 'TONE', 70], ['gain', 'GAIN', 50]],
+            multiband: [['lowX', 'X.LO', 48], ['highX', 'X.HI', 50],
+                ['lowCurve', 'LO', 0, curves], ['lowDrive', 'L.DRV', 0], ['lowGain', 'L.GAIN', 50],
+                ['midCurve', 'MID', 3, curves], ['midDrive', 'M.DRV', 60], ['midGain', 'M.GAIN', 50],
+                ['highCurve', 'HI', 1, curves], ['highDrive', 'H.DRV', 50], ['highGain', 'H.GAIN', 40]],
+            crusher: [['bits', 'BITS', 40], ['rate', 'RATE', 30], ['mix', 'MIX', 100]],
+            chorus: [['rate', 'RATE', 30], ['depth', 'DEPTH', 40], ['mix', 'MIX', 50]],
+            phaser: [['rate', 'RATE', 25], ['depth', 'DEPTH', 60], ['feedback', 'FB', 40], ['mix', 'MIX', 50]],
+            comb: [['freq', 'FREQ', 40], ['feedback', 'FB', 60], ['mix', 'MIX', 50]],
+            eq: [['low', 'LOW', 50], ['mid', 'MID', 50], ['freq', 'FREQ', 50], ['high', 'HIGH', 50]],
+            comp: [['threshold', 'THR', 50], ['ratio', 'RATIO', 40], ['attack', 'ATK', 20], ['release', 'REL', 40], ['makeup', 'GAIN', 20]]
+        };
+    }
+
+    static get MAX_SLOTS() { return 8; }
+
+    static createSlot(type) {
+        const params = {};
+        (InsertFX.PARAMS[type] || []).forEach(([key, , def]) => { params[key] = def; });
+        return { type, bypass: false, params };
+    }
+
+    static copySlots(slots) {
+        return (slots || []).map(s => ({ ...s, params: { ...s.params } }));
+    }
+
+    // --- Slot list edits (return a new list, see BassSynth.setInserts / DrumSynth.setChannelInserts) ---
+    static add(slots, type) {
+        if (!InsertFX.PARAMS[type] || slots.length >= InsertFX.MAX_SLOTS) return slots;
+        return [...slots, InsertFX.createSlot(type)];
+    }
+
+    static remove(slots, index) {
+        return slots.filter((_, i) => i !== index);
+    }
+
+    static move(slots, index, dir) {
+        const to = index + dir;
+        if (to < 0 || to >= slots.length) return slots;
+        const next = [...slots];
+        [next[index], next[to]] = [next[to], next[index]];
+        return next;
+    }
+
+    static toggleBypass(slots, index) {
+        return slots.map((s, i) => i === index ? { ...s, bypass: !s.bypass } : s);
+    }
+
+    /** Loads the crusher processor; crushers built before it is ready only reduce the bit depth */
+    static loadWorklet(ctx) {
+        if (!ctx.audioWorklet || !window.AudioWorkletNode) return Promise.resolve(false);
+        return ctx.audioWorklet.addModule('Synth/crusher_worklet.js')
+            .then(() => { crusherContexts.add(ctx); return true; })
+            .catch(e => {
+                console.warn("Crusher Worklet Failed:", e);
+                if (window.logToScreen) window.logToScreen("Crusher: bit reduction only", 'warn');
+                return false;
+            });
+    }
+
+    // --- Units: { input, output, set(key, val), sources (started oscillators) } ---
+    static create(ctx, slot) {
+        const build = {
+            distortion: InsertFX.createDistortion, multiband: InsertFX.createMultiband, crusher: InsertFX.createCrusher, chorus: InsertFX.createChorus,
+            phaser: InsertFX.createPhaser, comb: InsertFX.createComb, eq: InsertFX.createEQ, comp: InsertFX.createComp
+        }[slot.type];
+        if (!build) return null;
+        const unit = build(ctx);
+        unit.sources = unit.sources || [];
+        Object.keys(slot.params).forEach(k => unit.set(k, slot.params[k], true));
+        return unit;
+    }
+
+    // Param write: immediate while building, smoothed afterwards
+    static write(ctx, param, val, now) {
+        if (now) param.value = val;
+        else param.setTargetAtTime(val, ctx.currentTime, 0.02);
+    }
+
+    // Dry/wet pair around an effect: input -> dry -> output, wet node -> wet -> output
+    static createMix(ctx, input, wetSource) {
+        const dry = ctx.createGain();
+        const wet = ctx.createGain();
+        const output = ctx.createGain();
+        input.connect(dry);
+        dry.connect(output);
+        wetSource.connect(wet);
+        wet.connect(output);
+        return {
+            output,
+            set: (val, now) => {
+                const m = Math.max(0, Math.min(100, val)) / 100;
+                InsertFX.write(ctx, dry.gain, 1 - m, now);
+                InsertFX.write(ctx, wet.gain, m, now);
+            }
+        };
+    }
+
+    // Sine LFO -> depth gain (started with the unit)
+    static createLfo(ctx) {
+        const osc = ctx.createOscillator();
+        const depth = ctx.createGain();
+        osc.connect(depth);
+        osc.start(ctx.currentTime);
+        return { osc, depth };
+    }
+
+    // LFO rate 0-100 -> 0.05..10 Hz
+    static lfoHz(val) {
+        return 0.05 * Math.pow(200, Math.max(0, Math.min(100, val)) / 100);
+    }
+
+    static createDistortion(ctx) {
+        const dist = new window.BassDistortion(ctx);
+        return {
+            input: dist.input, output: dist.output,
+            set: (key, val) => {
+                if (key === 'drive') dist.setDistortion(val);
+                else if (key === 'tone') dist.setTone(val);
+                else if (key === 'gain') dist.setPostGain(val);
+            }
+        };
+    }
+
+    // Keys: lowX / highX (crossovers), then <band>Curve / <band>Drive / <band>Gain
+    static createMultiband(ctx) {
+        const mb = new window.MultibandDistortion(ctx);
+        const curves = window.MultibandDistortion.CURVES;
+        return {
+            input: mb.input, output: mb.output,
+            set: (key, val) => {
+                if (key === 'lowX') return mb.setCrossover('low', val);
+                if (key === 'highX') return mb.setCrossover('high', val);
+                const m = key.match(/^(low|mid|high)(Curve|Drive|Gain)$/);
+                if (!m) return;
+                if (m[2] === 'Curve') mb.setBandCurve(m[1], curves[Math.min(curves.length - 1, Math.round(val))]);
+                else if (m[2] === 'Drive') mb.setBandDrive(m[1], val);
+                else mb.setBandGain(m[1], val);
+            }
+        };
+    }
+
+    static createCrusher(ctx) {
+        const input = ctx.createGain();
+        let node, bitsCurve = null;
+        if (crusherContexts.has(ctx)) {
+            node = new window.AudioWorkletNode(ctx, 'nd23-crusher');
+        } else {
+            node = ctx.createWaveShaper(); // Fallback: bit depth only
+            bitsCurve = (bits) => {
+                const curve = new Float32Array(4096);
+                const step = 2 / Math.pow(2, bits);
+                for (let i = 0; i < curve.length; i++) curve[i] = Math.round(((i / (curve.length - 1)) * 2 - 1) / step) * step;
+                return curve;
+            };
+        }
+        input.connect(node);
+        const mix = InsertFX.createMix(ctx, input, node);
+        const param = (name) => node.parameters ? node.parameters.get(name) : null;
+        return {
+            input, output: mix.output,
+            set: (key, val, now) => {
+                if (key === 'mix') return mix.set(val, now);
+                const v = Math.max(0, Math.min(100, val)) / 100;
+                if (key === 'bits') {
+                    const bits = 16 - v * 15;
+                    if (bitsCurve) node.curve = bitsCurve(bits);
+                    else if (param('bits')) InsertFX.write(ctx, param('bits'), bits, now);
+                } else if (key === 'rate' && param('hold')) {
+                    InsertFX.write(ctx, param('hold'), 1 + v * v * 63, now);
+                }
+            }
+        };
+    }
+
+    // Two modulated delay lines, LFO in opposite phase on each side
+    static createChorus(ctx) {
+        const input = ctx.createGain();
+        const lfo = InsertFX.createLfo(ctx);
+        const invert = ctx.createGain();
+        invert.gain.value = -1;
+        lfo.depth.connect(invert);
+        const merger = ctx.createChannelMerger(2);
+        [lfo.depth, invert].forEach((mod, side) => {
+            const d = ctx.createDelay(0.1);
+            d.delayTime.value = 0.012;
+            mod.connect(d.delayTime);
+            input.connect(d);
+            d.connect(merger, 0, side);
+        });
+        const mix = InsertFX.createMix(ctx, input, merger);
+        return {
+            input, output: mix.output, sources: [lfo.osc],
+            set: (key, val, now) => {
+                if (key === 'mix') mix.set(val, now);
+                else if (key === 'rate') InsertFX.write(ctx, lfo.osc.frequency, InsertFX.lfoHz(val) / 4, now);
+                else if (key === 'depth') InsertFX.write(ctx, lfo.depth.gain, (val / 100) * 0.008, now);
+            }
+        };
+    }
+
+    // 4 allpass stages swept by an LFO, with feedback around the cascade
+    static createPhaser(ctx) {
+        const input = ctx.createGain();
+        const sum = ctx.createGain();
+        const feedback = ctx.createGain();
+        const lfo = InsertFX.createLfo(ctx);
+        input.connect(sum);
+        let last = sum;
+        [1, 1.8, 3.2, 5.5].forEach(ratio => {
+            const ap = ctx.createBiquadFilter();
+            ap.type = 'allpass';
+            ap.frequency.value = 400 * ratio;
+            ap.Q.value = 0.7;
+            lfo.depth.connect(ap.detune);
+            last.connect(ap);
+            last = ap;
+        });
+        // Feedback loops need a delay (one render quantum)
+        const loop = ctx.createDelay(0.01);
+        loop.delayTime.value = 128 / ctx.sampleRate;
+        last.connect(feedback);
+        feedback.connect(loop);
+        loop.connect(sum);
+        const mix = InsertFX.createMix(ctx, input, last);
+        return {
+            input, output: mix.output, sources: [lfo.osc],
+            set: (key, val, now) => {
+                if (key === 'mix') mix.set(val, now);
+                else if (key === 'rate') InsertFX.write(ctx, lfo.osc.frequency, InsertFX.lfoHz(val) / 2, now);
+                else if (key === 'depth') InsertFX.write(ctx, lfo.depth.gain, (val / 100) * 2400, now); // cents
+                else if (key === 'feedback') InsertFX.write(ctx, feedback.gain, (val / 100) * 0.8, now);
+            }
+        };
+    }
+
+    // Feedback comb: resonant peaks at freq and its harmonics (40 Hz .. 2.5 kHz)
+    static createComb(ctx) {
+        const input = ctx.createGain();
+        const delay = ctx.createDelay(0.05);
+        const feedback = ctx.createGain();
+        input.connect(delay);
+        delay.connect(feedback);
+        feedback.connect(delay);
+        const mix = InsertFX.createMix(ctx, input, delay);
+        return {
+            input, output: mix.output,
+            set: (key, val, now) => {
+                if (key === 'mix') mix.set(val, now);
+                else if (key === 'freq') InsertFX.write(ctx, delay.delayTime, 1 / (40 * Math.pow(2, (val / 100) * 6)), now);
+                else if (key === 'feedback') InsertFX.write(ctx, feedback.gain, (val / 100) * 0.95, now);
+            }
+        };
+    }
+
+    // 3-band: low shelf 120 Hz, mid peak 200 Hz .. 5 kHz, high shelf 6 kHz (50 = flat, +/-15 dB)
+    static createEQ(ctx) {
+        const band = (type, freq) => { const f = ctx.createBiquadFilter(); f.type = type; f.frequency.value = freq; return f; };
+        const low = band('lowshelf', 120);
+        const mid = band('peaking', 1000);
+        const high = band('highshelf', 6000);
+        mid.Q.value = 1;
+        low.connect(mid);
+        mid.connect(high);
+        const db = (val) => (Math.max(0, Math.min(100, val)) - 50) * 0.3;
+        return {
+            input: low, output: high,
+            set: (key, val, now) => {
+                if (key === 'low') InsertFX.write(ctx, low.gain, db(val), now);
+                else if (key === 'mid') InsertFX.write(ctx, mid.gain, db(val), now);
+                else if (key === 'high') InsertFX.write(ctx, high.gain, db(val), now);
+                else if (key === 'freq') InsertFX.write(ctx, mid.frequency, 200 * Math.pow(25, val / 100), now);
+            }
+        };
+    }
+
+    static createComp(ctx) {
+        const comp = ctx.createDynamicsCompressor();
+        comp.knee.value = 6;
+        const makeup = ctx.createGain();
+        comp.connect(makeup);
+        return {
+            input: comp, output: makeup,
+            set: (key, val, now) => {
+                const v = Math.max(0, Math.min(100, val)) / 100;
+                if (key === 'threshold') InsertFX.write(ctx, comp.threshold, -v * 60, now);
+                else if (key === 'ratio') InsertFX.write(ctx, comp.ratio, 1 + v * 19, now);
+                else if (key === 'attack') InsertFX.write(ctx, comp.attack, 0.001 + v * v * 0.2, now);
+                else if (key === 'release') InsertFX.write(ctx, comp.release, 0.02 + v * 0.98, now);
+                else if (key === 'makeup') InsertFX.write(ctx, makeup.gain, Math.pow(10, (v * 24) / 20), now);
+            }
+        };
+    }
+}
+
+/**
+ * Node chain of one track: input -> active slots in order -> output.
+ * Rebuilt when slots are added, removed, moved or bypassed; knob edits go straight to the units.
+ */
+class InsertChain {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.units = []; // Aligned with the slots (null = bypassed or unknown type)
+        this.input.connect(this.output);
+    }
+
+    build(slots) {
+        this.dispose();
+        this.input.disconnect();
+        this.units = (slots || []).map(slot => slot.bypass ? null : InsertFX.create(this.ctx, slot));
+        let last = this.input;
+        this.units.forEach(u => {
+            if (!u) return;
+            last.connect(u.input);
+            last = u.output;
+        });
+        last.connect(this.output);
+    }
+
+    setParam(index, key, val) {
+        const u = this.units[index];
+        if (u) u.set(key, val);
+    }
+
+    dispose() {
+        const now = this.ctx.currentTime;
+        this.units.forEach(u => {
+            if (!u) return;
+            u.sources.forEach(src => { try { src.stop(now); } catch(e) {} });
+            try { u.output.disconnect(); } catch(e) {}
+        });
+        this.units = [];
+    }
+}
+
+window.InsertFX = InsertFX;
+window.InsertChain = InsertChain;
@@ -0,0 +1,130 @@
+/*
+ * LFO MODULE (v1.0)
+ * Low frequency oscillators and the modulation matrix of a BassSynth.
+ * Each LFO is a looped single-cycle buffer, so its phase only depends on when it was started:
+ * live playback and offline render (both started at the transport origin) produce the same movement.
+ */
+
+class LFO {
+    // Waveforms offered in the editor ('sh' = sample & hold)
+    static get SHAPES() { return ['sine', 'tri', 'saw', 'square', 'sh']; }
+
+    // Tempo-synced divisions -> length of one cycle in beats
+    static get DIVISIONS() {
+        return { '4/1': 16, '2/1': 8, '1/1': 4, '1/2': 2, '1/4': 1, '1/8': 0.5, '1/16': 0.25, '1/4T': 2 / 3, '1/8T': 1 / 3, '1/8D': 0.75 };
+    }
+
+    // Destination -> modulation depth at amount 100 (in the unit of the target AudioParam)
+    static get DESTINATIONS() {
+        return {
+            cutoff: 4800,     // Filter detune (cents, +/-4 oct)
+            resonance: 15,    // Filter Q
+            drive: 3,         // Gain into the distortion shaper
+            pitch: 1200,      // Oscillator detune (cents, +/-1 oct)
+            volume: 0.5,      // Post-FX gain (tremolo)
+            pan: 1,           // Stereo position
+            wtPos: 1          // Wavetable position signal (full table)
+        };
+    }
+
+    static defaultSettings() {
+        return { shape: 'sine', rate: 50, sync: false, division: '1/4', retrig: false };
+    }
+
+    // Free rate is stored 0-100 and mapped exponentially to 0.05..20 Hz
+    static freeRate(val) {
+        return 0.05 * Math.pow(400, Math.max(0, Math.min(100, val)) / 100);
+    }
+
+    /**
+     * @param {object} settings - { shape, rate, sync, division, retrig }
+     * @param {number} secPerBeat - Current beat length (tempo sync)
+     * @returns {number} Cycles per second
+     */
+    static getRate(settings, secPerBeat) {
+        if (settings.sync) {
+            const beats = LFO.DIVISIONS[settings.division] || 1;
+            return 1 / (beats * secPerBeat);
+        }
+        return LFO.freeRate(settings.rate);
+    }
+
+    /**
+     * One cycle of the waveform (-1..1). Sample & hold stores 16 seeded steps,
+     * so the random pattern is the same on every render.
+     */
+    static createCycleBuffer(ctx, shape, seed = 1) {
+        const size = 256;
+        const cycles = shape === 'sh' ? 16 : 1;
+        const buffer = ctx.createBuffer(1, size * cycles, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        let a = seed >>> 0;
+        const random = () => { a = (Math.imul(a, 1664525) + 1013904223) >>> 0; return a / 4294967296; };
+        let held = 0;
+
+        for (let i = 0; i < data.length; i++) {
+            const ph = (i % size) / size;
+            if (shape === 'tri') data[i] = ph < 0.5 ? ph * 4 - 1 : 3 - ph * 4;
+            else if (shape === 'saw') data[i] = 1 - ph * 2;
+            else if (shape === 'square') data[i] = ph < 0.5 ? 1 : -1;
+            else if (shape === 'sh') {
+                if (i % size === 0) held = random() * 2 - 1;
+                data[i] = held;
+            }
+            else data[i] = Math.sin(ph * Math.PI * 2);
+        }
+        return { buffer, cycles };
+    }
+
+    constructor(ctx, seed = 1) {
+        this.ctx = ctx;
+        this.seed = seed;
+        this.settings = LFO.defaultSettings(); // Points at the owner's params entry (see start)
+        this.output = ctx.createGain(); // Stays connected to the matrix while sources are swapped
+        this.source = null;
+        this.cycle = null;
+        this.rate = 0;
+    }
+
+    // Restarts the waveform at phase 0 at the given time
+    start(time, secPerBeat, settings = this.settings) {
+        this.settings = settings;
+        if (!this.cycle || this.cycle.shape !== this.settings.shape) {
+            this.cycle = { shape: this.settings.shape, ...LFO.createCycleBuffer(this.ctx, this.settings.shape, this.seed) };
+        }
+        this.stop(time);
+        const src = this.ctx.createBufferSource();
+        src.buffer = this.cycle.buffer;
+        src.loop = true;
+        src.connect(this.output);
+        this.rate = LFO.getRate(this.settings, secPerBeat);
+        src.playbackRate.setValueAtTime(this.rate * this.playbackFactor(), time);
+        src.start(time);
+        this.source = src;
+    }
+
+    // playbackRate that plays one cycle of the buffer per LFO cycle
+    playbackFactor() {
+        return (this.cycle.buffer.length / this.cycle.cycles) / this.ctx.sampleRate;
+    }
+
+    // Follows tempo changes (synced) and rate edits (free)
+    update(time, secPerBeat) {
+        if (!this.source) return;
+        const rate = LFO.getRate(this.settings, secPerBeat);
+        if (rate === this.rate) return;
+        this.rate = rate;
+        this.source.playbackRate.setValueAtTime(rate * this.playbackFactor(), time);
+    }
+
+    stop(time) {
+        if (!this.source) return;
+        const old = this.source;
+        old.stop(time);
+        old.onended = () => { try { old.disconnect(); } catch(e) {} };
+        this.source = null;
+    }
+}
+
+window.LFO = LFO;
@@ -9,6 +9,12 @@ class MidiIO {
         this.MThd = [0x4D, 0x54, 0x68, 0x64];
         this.MTrk = [0x4D, 0x54, 0x72, 0x6B];
         this.ticksPerBeat = 480; // Standard PPQ
+
+        // Automation lanes -> Control Change numbers. Bass params go on the synth's channel,
+        // drum levels on channel 10 (channels as CC 20-28) and the master level on channel 16.
+        this.automationCC = { volume: 7, cutoff: 74, resonance: 71, envMod: 76, decay: 75, accentInt: 77, distTone: 78, distGain: 79, wtPos: 70 };
+        this.drumCC = { master: 7, channelBase: 20 };
+        this.masterChannel = 15;
     }
 
     // --- HELPER: Variable Length Quantity ---
@@ -21,7 +27,8 @@ class MidiIO {
     }
 
     // --- EXPORT ---
-    exportMidi(blocks, bpm) {
+    // groove (optional): GrooveEngine used to shift steps exactly like live playback
+    exportMidi(blocks, bpm, groove = null) {
         // 1. Header Chunk
         // Format 1 (Multi-track), Tracks = Bass Channels + 1 Drum Channel + 1 Tempo Track, Division
         const bassTracksCount = 4; // Max bass synths usually 4? Or dynamic? Let's check window.audioEngine
@@ -31,22 +38,65 @@ class MidiIO {
 
         const tracks = [];
 
+        // Block layout: each block has its own length & resolution
+        const tm = window.timeMatrix;
+        const blockLen = (b) => tm ? tm.getBlockLength(b) : 16;
+        const blockStepTicks = (b) => this.ticksPerBeat / (tm ? tm.getStepsPerBeat(b) : 4);
+        const blockOffsets = [];
+        const blockPasses = []; // Times each block already played before this entry (lane phasing)
+        const passes = new Map();
+        let songTicks = 0;
+        blocks.forEach(b => {
+            blockOffsets.push(songTicks);
+            songTicks += blockLen(b) * blockStepTicks(b);
+            const pass = passes.get(b) || 0;
+            blockPasses.push(pass);
+            passes.set(b, pass + 1);
+        });
+
         // Track 0: Tempo and Meta
-        let track0 = [
-            0x00, 0xFF, 0x51, 0x03, ...this.bpmToTempoBytes(bpm), // Set Tempo
-            0x00, 0xFF, 0x2F, 0x00 // End of Track
-        ];
-        tracks.push(track0);
+        const metaEvents = [];
+        let lastSig = null;
+        let lastTempo = null;
+        blocks.forEach((b, bIdx) => {
+            // Time signature changes at block boundaries
+            const sig = this.getTimeSignature(blockLen(b), b.resolution || '16');
+            if (sig && !(lastSig && sig[0] === lastSig[0] && sig[1] === lastSig[1])) {
+                metaEvents.push({ t: blockOffsets[bIdx], data: [0xFF, 0x58, 0x04, sig[0], Math.log2(sig[1]), 24, 8] });
+                lastSig = sig;
+            }
+            // Tempo map: one Set Tempo per change (ramps change on every step)
+            for (let sIdx = 0; sIdx < blockLen(b); sIdx++) {
+                const tempo = this.bpmToTempoBytes(tm ? tm.getStepBpm(b, sIdx, bpm) : bpm);
+                if (lastTempo && tempo.every((v, i) => v === lastTempo[i])) continue;
+                metaEvents.push({ t: blockOffsets[bIdx] + sIdx * blockStepTicks(b), data: [0xFF, 0x51, 0x03, ...tempo] });
+                lastTempo = tempo;
+            }
+        });
+        tracks.push(this.compileMetaTrack(metaEvents));
+
+        // Groove offset in ticks for a given step/track
+        const grooveTicks = (sIdx, block, trackId) => groove ? Math.round(groove.getOffset(sIdx, block, trackId) * blockStepTicks(block)) : 0;
+
+        // Flam grace-note distance in seconds (converted to ticks with each step's tempo)
+        const flamSec = window.drumSynth ? window.drumSynth.flamTime : 0.018;
 
         // Track 1: Drums (Channel 10 -> 0x09)
         let drumEvents = [];
         blocks.forEach((b, bIdx) => {
-            const blockOffset = bIdx * 16 * (this.ticksPerBeat / 4); // 16 steps, eachstep 1/4 beat? No, 16 steps usually = 1 bar = 4 beats. So 1 step = 1/4 beat.
-            b.drums.forEach((stepDrums, sIdx) => {
+            const blockOffset = blockOffsets[bIdx];
+            const stepTicks = blockStepTicks(b);
+            for (let sIdx = 0; sIdx < blockLen(b); sIdx++) {
+                // Polymetric lanes resolved like the scheduler, phasing across repeats
+                const stepDrums = tm ? tm.resolveStep(b, sIdx, blockPasses[bIdx]).drums : b.drums[sIdx];
                 if (stepDrums && stepDrums.length > 0) {
-                    const time = blockOffset + (sIdx * (this.ticksPerBeat / 4));
+                    const secPerStep = tm ? tm.getSecPerStep(b, bpm, sIdx) : (60 / bpm) / 4;
+                    const flamTicks = Math.round(flamSec / secPerStep * stepTicks);
                     // For each drum hit
-                    stepDrums.forEach(chId => {
+                    stepDrums.forEach(hit => {
+                        const nudge = hit.nudge || 0;
+                        const time = Math.max(0, blockOffset + (sIdx * stepTicks) + grooveTicks(sIdx, b, 'drum') + Math.round(nudge * stepTicks));
+                        const chId = hit.id;
                         // Map internal channels 0-3 to MIDI notes. 
                         // General MIDI: Kick=36, Snare=38, CH=42, OH=46
                         let note = 36;
@@ -55,14 +105,31 @@ class MidiIO {
                         if (chId === 3) note = 46; // OH
                         if (chId > 3) note = 48 + chId; // Toms/Percs
 
-                        // Note On
-                        drumEvents.push({ t: time, type: 0x99, note: note, vel: 100 });
-                        // Note Off (short dur)
-                        drumEvents.push({ t: time + 60, type: 0x89, note: note, vel: 0 });
+                        // Ratchets & flams: same expansion as the audio scheduler
+                        const triggers = window.DrumSynth
+                            ? window.DrumSynth.getTriggers(hit, stepTicks, flamTicks)
+                            : [{ offset: 0, vel: hit.vel }];
+                        const offLen = Math.min(60, Math.floor(stepTicks / triggers.length));
+
+                        triggers.forEach(tr => {
+                            const t = Math.max(0, time + Math.round(tr.offset));
+                            // Note On
+                            drumEvents.push({ t: t, type: 0x99, note: note, vel: Math.max(1, Math.min(127, tr.vel || 127)) });
+                            // Note Off (short dur)
+                            drumEvents.push({ t: t + offLen, type: 0x89, note: note, vel: 0 });
+                        });
                     });
                 }
-            });
+            }
         });
+        // Drum level lanes
+        if (window.drumSynth) {
+            const drumTargets = ['master', ...window.drumSynth.channels.map(ch => ch.id)];
+            drumTargets.forEach(key => {
+                const cc = key === 'master' ? this.drumCC.master : this.drumCC.channelBase + key;
+                drumEvents.push(...this.automationEvents(blocks, `drum.${key}`, 0xB9, cc, blockOffsets, blockStepTicks));
+            });
+        }
         if (drumEvents.length > 0) tracks.push(this.compileTrack(drumEvents));
 
         // Tracks 2+: Bass
@@ -81,27 +148,98 @@ class MidiIO {
                 const trackData = b.tracks[key];
                 if (!trackData) return;
 
-                const blockOffset = bIdx * 16 * (this.ticksPerBeat / 4);
+                const blockOffset = blockOffsets[bIdx];
+                const stepTicks = blockStepTicks(b);
 
-                trackData.forEach((noteData, sIdx) => {
+                for (let sIdx = 0; sIdx < blockLen(b); sIdx++) {
+                    const noteData = trackData[tm ? tm.getLanePosition(b, key, sIdx, blockPasses[bIdx]) : sIdx];
                     if (noteData) {
-                        const time = blockOffset + (sIdx * (this.ticksPerBeat / 4));
+                        const nudgeTicks = Math.round((noteData.nudge || 0) * stepTicks);
+                        const time = Math.max(0, blockOffset + (sIdx * stepTicks) + grooveTicks(sIdx, b, key) + nudgeTicks);
                         const midiNote = this.getMidiNote(noteData.note, noteData.octave);
                         // Note On
                         events.push({ t: time, type: 0x90 | midiCh, note: midiNote, vel: noteData.accent ? 127 : 90 });
-                        // Note Off (1 step duration usually, or slide logic?)
-                        // Simple 16th note duration
-                        const dur = (this.ticksPerBeat / 4) - 10;
+                        // Note Off after the step's gate length (ties span several steps)
+                        const gate = noteData.gate || (window.TimeMatrix ? window.TimeMatrix.DEFAULT_GATE : 100);
+                        const dur = Math.max(1, Math.round((gate / 100) * stepTicks));
                         events.push({ t: time + dur, type: 0x80 | midiCh, note: midiNote, vel: 0 });
                     }
-                });
+                }
+            });
+            Object.keys(this.automationCC).forEach(param => {
+                events.push(...this.automationEvents(blocks, `${key}.${param}`, 0xB0 | midiCh, this.automationCC[param], blockOffsets, blockStepTicks));
             });
             tracks.push(this.compileTrack(events));
         });
 
+        // Master level lane: its own track
+        const masterEvents = this.automationEvents(blocks, 'master', 0xB0 | this.masterChannel, 7, blockOffsets, blockStepTicks);
+        if (masterEvents.length) tracks.push(this.compileTrack(masterEvents));
+
         return this.buildMidiFile(tracks);
     }
 
+    /**
+     * Samples an automation lane (block lanes over song lanes, like playback) into CC events.
+     * Blocks are taken in song order, so song lane positions line up with their offsets.
+     * @returns {Array} [{ t, type, note: cc, vel: value }] (one event per change, 4 per step at most)
+     */
+    automationEvents(blocks, target, status, cc, blockOffsets, blockStepTicks) {
+        const events = [];
+        const tm = window.timeMatrix;
+        if (!window.Automation || !tm) return events;
+        const range = window.Automation.range(target);
+        let songStep = 0;
+        let last = -1;
+        blocks.forEach((b, bIdx) => {
+            const len = tm.getBlockLength(b);
+            const stepTicks = blockStepTicks(b);
+            for (let s = 0; s < len * 4; s++) {
+                const pos = s / 4;
+                const v = window.Automation.valueFor(b, pos, songStep + pos, target);
+                if (v === null) continue;
+                const val = Math.max(0, Math.min(127, Math.round((v - range[0]) / (range[1] - range[0]) * 127)));
+                if (val === last) continue;
+                events.push({ t: blockOffsets[bIdx] + Math.round(pos * stepTicks), type: status, note: cc, vel: val });
+                last = val;
+            }
+            songStep += len;
+        });
+        return events;
+    }
+
+    /**
+     * Time signature for a block, or null when it can't be written as n/2^k
+     * (e.g. a triplet block that doesn't end on a whole eighth/quarter).
+     * @returns {number[]|null} [numerator, denominator]
+     */
+    getTimeSignature(length, resolution) {
+        // Denominator of one step, and how many steps make one unit of it
+        const units = { '8': [8, 1], '16': [16, 1], '32': [32, 1], '8T': [4, 3], '16T': [8, 3] };
+        const u = units[resolution];
+        if (!u || length % u[1] !== 0) return null;
+        let num = length / u[1];
+        let den = u[0];
+        while (num % 2 === 0 && den > 4) { num /= 2; den /= 2; }
+        return num <= 255 ? [num, den] : null;
+    }
+
+    compileMetaTrack(events) {
+        events.sort((a, b) => a.t - b.t);
+
+        let bytes = [];
+        let lastTime = 0;
+        events.forEach(e => {
+            bytes.push(...this.toVLQ(e.t - lastTime));
+            bytes.push(...e.data);
+            lastTime = e.t;
+        });
+
+        // End of Track
+        bytes.push(0x00, 0xFF, 0x2F, 0x00);
+        return bytes;
+    }
+
     compileTrack(events) {
         // Sort by time
         events.sort((a, b) => a.t - b.t);
@@ -154,6 +292,48 @@ class MidiIO {
     }
 
     // --- IMPORT ---
+    /**
+     * Block layout from the Time Signature events (one block per bar, like export writes them).
+     * Bars with a 32nd denominator import at 32nd resolution, everything else on sixteenths.
+     * @param {Array} sigs - [{ tick, num, den }] sorted by tick
+     * @param {number} lastTick - Last note-on / meta event of the file: the layout covers it
+     * @returns {Array} [{ start: tick, offset: global step, length, resolution, stepTicks }]
+     */
+    buildImportLayout(sigs, lastTick, ppq) {
+        const maxSteps = window.timeMatrix ? window.timeMatrix.maxSteps : 64;
+        if (!sigs.length || sigs[0].tick > 0) sigs = [{ tick: 0, num: 4, den: 4 }, ...sigs];
+
+        const layout = [];
+        let tick = 0, offset = 0;
+        sigs.forEach((sig, i) => {
+            const segEnd = i + 1 < sigs.length ? sigs[i + 1].tick : Infinity;
+            const resolution = sig.den >= 32 ? '32' : '16';
+            const stepsPerBeat = resolution === '32' ? 8 : 4;
+            const stepTicks = ppq / stepsPerBeat;
+            const barSteps = Math.max(1, Math.min(maxSteps, Math.round(sig.num * (4 / sig.den) * stepsPerBeat)));
+            while (tick < segEnd && (tick <= lastTick || !layout.length)) {
+                // A bar cut short by the next signature becomes a shorter block
+                const length = Math.max(1, Math.min(barSteps, Math.round((segEnd - tick) / stepTicks)));
+                layout.push({ start: tick, offset, length, resolution, stepTicks });
+                tick += length * stepTicks;
+                offset += length;
+            }
+        });
+        return layout;
+    }
+
+    /** @returns {object} { step: global step, nudge: off-grid remainder (fraction of a step), stepTicks } */
+    tickToStep(layout, tick) {
+        let blk = layout[0];
+        layout.forEach(b => { if (b.start <= tick) blk = b; });
+        const local = Math.min(blk.length - 1, Math.round((tick - blk.start) / blk.stepTicks));
+        const rest = tick - (blk.start + local * blk.stepTicks);
+        // Late remainders past half a step belong to the next block's first step
+        const next = layout[layout.indexOf(blk) + 1];
+        if (next && rest > blk.stepTicks / 2) return { step: next.offset, nudge: (tick - next.start) / next.stepTicks, stepTicks: next.stepTicks };
+        return { step: blk.offset + local, nudge: rest / blk.stepTicks, stepTicks: blk.stepTicks };
+    }
+
     parseMidi(arrayBuffer) {
         const data = new Uint8Array(arrayBuffer);
         // Basic parser to find notes
@@ -163,9 +343,16 @@ class MidiIO {
         let p = 0;
         // Check Header
         if (data[p] != 0x4D || data[p + 1] != 0x54 || data[p + 2] != 0x68 || data[p + 3] != 0x64) return null;
+        // Time Division (SMPTE timing falls back to our own PPQ)
+        const division = (data[12] << 8) | data[13];
+        const ppq = (division & 0x8000) || !division ? this.ticksPerBeat : division;
         p += 14; // Skip Header
 
-        const importedData = { drums: {}, bass: {} }; // Keyed by absolute step
+        // Events are collected in ticks first: the step grid depends on the Time Signature events
+        const drumOns = []; // [{ tick, id, vel }]
+        const bassOns = []; // [{ tick, note, vel, end }]
+        const tempoTicks = []; // [{ tick, bpm }]
+        const sigs = []; // [{ tick, num, den }]
 
         // Read Tracks
         while (p < data.length) {
@@ -177,6 +364,7 @@ class MidiIO {
 
             let absTime = 0;
             let lastStatus = 0;
+            const held = {}; // 'ch-note' -> sounding bass note
 
             while (p < end) {
                 // Read VLQ Delta Time
@@ -203,32 +391,36 @@ class MidiIO {
                 }
 
                 // Note On
+                if ((status & 0xF0) === 0x90 && data[p + 1] === 0) status = 0x80 | (status & 0x0F); // Velocity 0 = Note Off
                 if ((status & 0xF0) === 0x90) {
                     const ch = status & 0x0F;
                     const note = data[p++];
                     const vel = data[p++];
 
                     if (vel > 0) {
-                        const step = Math.round(absTime / (this.ticksPerBeat / 4));
-
                         if (ch === 9) { // Drums
-                            if (!importedData.drums[step]) importedData.drums[step] = [];
                             // Map General MIDI back to Simplistic 0-3
                             let internalId = 0; // Kick
                             if (note === 38 || note === 40) internalId = 1; // Snare
                             else if (note === 42 || note === 44 || note === 46) internalId = 2; // CH
                             else if (note >= 47) internalId = 3; // Perc
-
-                            if (!importedData.drums[step].includes(internalId)) importedData.drums[step].push(internalId);
+                            drumOns.push({ tick: absTime, id: internalId, vel: vel });
                         } else { // Bass
-                            if (!importedData.bass[step]) importedData.bass[step] = {};
-                            // simplistic single synth map for now, or multi-synth? 
                             // We map first found track to 'bass-1'
-                            importedData.bass[step] = { note: note, vel: vel };
+                            const on = { tick: absTime, note: note, vel: vel, end: null };
+                            bassOns.push(on);
+                            held[`${ch}-${note}`] = on;
                         }
                     }
                 }
-                else if ((status & 0xF0) === 0x80) { p += 2; } // Note Off
+                else if ((status & 0xF0) === 0x80) { // Note Off -> gate length of the held bass note
+                    const key = `${status & 0x0F}-${data[p]}`;
+                    if (held[key]) {
+                        held[key].end = absTime;
+                        delete held[key];
+                    }
+                    p += 2;
+                }
                 else if ((status & 0xF0) === 0xB0) { p += 2; } // CC
                 else if ((status & 0xF0) === 0xC0) { p += 1; } // PC
                 else if ((status & 0xF0) === 0xE0) { p += 2; } // Pitch
@@ -238,11 +430,46 @@ class MidiIO {
                     // Meta VLQ length
                     let bb;
                     do { bb = data[p++]; len = (len << 7) | (bb & 0x7F); } while (bb & 0x80);
+                    // Set Tempo -> tempo map
+                    if (type === 0x51 && len === 3) {
+                        const microSecs = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+                        if (microSecs > 0) tempoTicks.push({ tick: absTime, bpm: Math.round(60000000 / microSecs * 100) / 100 });
+                    }
+                    // Time Signature -> block lengths
+                    if (type === 0x58 && len >= 2 && data[p] > 0) sigs.push({ tick: absTime, num: data[p], den: Math.pow(2, data[p + 1]) });
                     p += len;
                 }
             }
             p = end;
         }
+
+        // Later signatures at the same tick replace earlier ones
+        sigs.sort((a, b) => a.tick - b.tick);
+        const uniqueSigs = sigs.filter((sig, i) => !(sigs[i + 1] && sigs[i + 1].tick === sig.tick));
+        const lastTick = [...drumOns, ...bassOns, ...tempoTicks, ...uniqueSigs].reduce((acc, e) => Math.max(acc, e.tick), 0);
+        const layout = this.buildImportLayout(uniqueSigs, lastTick, ppq);
+
+        // blocks: [{ length, resolution }] - drums, bass, tempos keyed by global step across those blocks
+        const importedData = { blocks: layout.map(b => ({ length: b.length, resolution: b.resolution })), drums: {}, bass: {}, tempos: [] };
+
+        drumOns.forEach(on => {
+            const { step, nudge } = this.tickToStep(layout, on.tick);
+            if (!importedData.drums[step]) importedData.drums[step] = [];
+            // Flam grace notes / ratchets collapse onto one hit: keep the loudest velocity
+            const existing = importedData.drums[step].find(h => h.id === on.id);
+            if (existing) existing.vel = Math.max(existing.vel, on.vel);
+            else importedData.drums[step].push({ id: on.id, vel: on.vel, nudge: nudge });
+        });
+
+        bassOns.forEach(on => {
+            const { step, nudge, stepTicks } = this.tickToStep(layout, on.tick);
+            const entry = { note: on.note, vel: on.vel, nudge: nudge };
+            if (on.end !== null) entry.gate = Math.max(5, Math.min(1600, Math.round((on.end - on.tick) / stepTicks * 100)));
+            importedData.bass[step] = entry;
+        });
+
+        tempoTicks.forEach(tp => importedData.tempos.push({ step: this.tickToStep(layout, tp.tick).step, bpm: tp.bpm }));
+        importedData.tempos.sort((a, b) => a.step - b.step);
         return importedData;
     }
 }
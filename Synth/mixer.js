@@ -0,0 +1,90 @@
+/*
+ * MIXER MODULE (v1.0)
+ * Channel strip state (pan, mute, solo), master bus settings and metering.
+ * Strips live on their owners: BassSynth.params { pan, mute, solo } and DrumSynth channels { pan, mute, solo }.
+ * Mute/solo act on the sequence (muted tracks are not triggered), so the offline render follows them too.
+ *
+ * Track ids: '<synthId>' for bass synths, 'drum-<channel>' for drum channels (same as the trig lanes)
+ */
+
+class Mixer {
+    static defaultStrip() {
+        return { pan: 0, mute: false, solo: false };
+    }
+
+    /**
+     * volume: master fader 0-100 - compressor (limiter) in native units: threshold / knee (dB), ratio, attack / release (ms)
+     * Key order is the CSV order (see TimeMatrix.exportToCSV)
+     */
+    static defaultMaster() {
+        return { volume: 60, threshold: -3, knee: 30, ratio: 12, attack: 3, release: 250 };
+    }
+
+    // Master control ranges [min, max]
+    static get MASTER_RANGES() {
+        return { volume: [0, 100], threshold: [-60, 0], knee: [0, 40], ratio: [1, 20], attack: [0, 1000], release: [10, 1000] };
+    }
+
+    static masterGain(volume) {
+        return Math.max(0, Math.min(100, volume)) / 100;
+    }
+
+    static applyCompressor(comp, settings, time = null) {
+        const vals = {
+            threshold: settings.threshold, knee: settings.knee, ratio: settings.ratio,
+            attack: settings.attack / 1000, release: settings.release / 1000
+        };
+        Object.keys(vals).forEach(k => {
+            if (time === null) comp[k].value = vals[k];
+            else comp[k].setTargetAtTime(vals[k], time, 0.02);
+        });
+    }
+
+    /** @returns {Array} [{ id, label, strip }] for every strip in the current project */
+    static getStrips(synths, drums) {
+        const strips = (synths || []).map(s => ({ id: s.id, label: s.id.toUpperCase(), strip: s.params }));
+        if (drums) drums.channels.forEach(ch => strips.push({ id: `drum-${ch.id}`, label: ch.name, strip: ch }));
+        return strips;
+    }
+
+    /**
+     * Tracks the sequence may trigger: any solo silences every strip without one, mute always wins.
+     * @returns {Set} Track ids
+     */
+    static getAudible(synths, drums) {
+        const strips = Mixer.getStrips(synths, drums);
+        const solo = strips.some(s => s.strip.solo);
+        return new Set(strips.filter(s => !s.strip.mute && (!solo || s.strip.solo)).map(s => s.id));
+    }
+
+    static createMeter(ctx, source) {
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 1024;
+        source.connect(analyser);
+        return analyser;
+    }
+
+    /**
+     * @param {Float32Array} buf - Reusable sample buffer (fftSize long)
+     * @returns {object} { peak, rms } in dBFS (-Infinity when silent)
+     */
+    static readMeter(analyser, buf = analyser ? new Float32Array(analyser.fftSize) : null) {
+        if (!analyser) return { peak: -Infinity, rms: -Infinity };
+        analyser.getFloatTimeDomainData(buf);
+        let peak = 0, sum = 0;
+        for (let i = 0; i < buf.length; i++) {
+            const a = Math.abs(buf[i]);
+            if (a > peak) peak = a;
+            sum += buf[i] * buf[i];
+        }
+        const db = (v) => v > 0 ? 20 * Math.log10(v) : -Infinity;
+        return { peak: db(peak), rms: db(Math.sqrt(sum / buf.length)) };
+    }
+
+    // dBFS -> meter height 0-100 (-60 dB floor)
+    static meterPercent(db) {
+        return Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+    }
+}
+
+window.Mixer = Mixer;
@@ -0,0 +1,65 @@
+/*
+ * OSCILLATOR ENGINES MODULE (v1.0)
+ * Extra sources for the BassSynth voice: 2-operator FM and morphing wavetables.
+ * A wavetable is a set of PeriodicWave frames played by parallel oscillators. The table position is an
+ * audio-rate signal (-1..1) that every frame turns into its own crossfade gain through a WaveShaper,
+ * so envelopes, LFOs and automation can sweep it smoothly.
+ */
+
+class OscEngine {
+    static get ENGINES() { return ['analog', 'fm', 'wavetable']; }
+
+    static label(engine) {
+        const map = { analog: 'ANALOG', fm: 'FM', wavetable: 'WAVETABLE' };
+        return map[engine] || 'ANALOG';
+    }
+
+    static get HARMONICS() { return 64; }
+
+    /**
+     * Bundled tables. Each frame maps harmonic number n (1..HARMONICS) to its amplitude;
+     * 'cos' tables use the cosine series (pulse shapes).
+     */
+    static get WAVETABLES() {
+        const bump = (n, c, w) => Math.exp(-((n - c) * (n - c)) / (2 * w * w));
+        return [
+            // Saw with a resonant hump sweeping up the spectrum
+            { name: 'GROWL', frames: [3, 6, 11, 18].map(c => (n) => (1 / n) * (1 + 4 * bump(n, c, c / 3))) },
+            // Vowels A -> E -> I -> O (formants of a 110 Hz voice, in harmonics)
+            { name: 'VOCAL', frames: [[7.3, 10.5], [3.6, 17.3], [2.7, 20.9], [4.1, 7.3]].map(f => (n) => (1 / n) * (1 + 6 * bump(n, f[0], 1.5) + 4 * bump(n, f[1], 2))) },
+            // Sparse harmonic combs: hollow to clangy
+            { name: 'METAL', frames: [2, 3, 5, 7].map(k => (n) => n === 1 ? 1 : (n % k === 0 ? 0.8 / Math.sqrt(n) : 0.05 / n)) },
+            // Pulse width 50% -> 8%
+            { name: 'PWM', cos: true, frames: [0.5, 0.35, 0.2, 0.08].map(d => (n) => Math.sin(Math.PI * n * d) / n) }
+        ];
+    }
+
+    /** @returns {PeriodicWave[]} One wave per frame of the table */
+    static createWaves(ctx, tableIdx) {
+        const table = OscEngine.WAVETABLES[tableIdx] || OscEngine.WAVETABLES[0];
+        const size = OscEngine.HARMONICS + 1;
+        return table.frames.map(amp => {
+            const real = new Float32Array(size);
+            const imag = new Float32Array(size);
+            for (let n = 1; n < size; n++) (table.cos ? real : imag)[n] = amp(n);
+            return ctx.createPeriodicWave(real, imag);
+        });
+    }
+
+    // Crossfade gain of frame k against the position signal (-1..1): triangular window
+    static frameCurve(k, frames) {
+        const curve = new Float32Array(256);
+        for (let i = 0; i < curve.length; i++) {
+            const pos = (i / (curve.length - 1)) * (frames - 1);
+            curve[i] = Math.max(0, 1 - Math.abs(pos - k));
+        }
+        return curve;
+    }
+
+    // Position param (0-100) -> position signal (-1..1)
+    static positionSignal(val) {
+        return Math.max(-1, Math.min(1, val / 50 - 1));
+    }
+}
+
+window.OscEngine = OscEngine;
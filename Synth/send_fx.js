@@ -0,0 +1,237 @@
+/*
+ * SEND FX MODULE (v1.0)
+ * Return buses shared by every instrument: a tempo-synced ping-pong delay and a convolution reverb.
+ * Instruments feed each bus through a post-fader send gain; every bus returns into the master bus.
+ * The reverb impulse is generated from a fixed seed, so live playback and offline render sound the same.
+ */
+
+class SendFX {
+    static get BUSES() { return ['delay', 'reverb']; }
+
+    static label(bus) {
+        const map = { delay: 'DLY', reverb: 'REV' };
+        return map[bus] || bus.toUpperCase();
+    }
+
+    // Delay time -> length in beats
+    static get DIVISIONS() {
+        return { '1/16': 0.25, '1/8T': 1 / 3, '1/8': 0.5, '1/4T': 2 / 3, '1/8D': 0.75, '1/4': 1, '1/4D': 1.5, '1/2': 2 };
+    }
+
+    /**
+     * delay: { division, feedback, tone (feedback lowpass), level } - reverb: { size, damp, predelay (ms), level }
+     * Key order is the CSV order (see TimeMatrix.exportToCSV)
+     */
+    static defaultSettings() {
+        return {
+            delay: { division: '1/8D', feedback: 40, tone: 55, level: 70 },
+            reverb: { size: 50, damp: 45, predelay: 10, level: 60 }
+        };
+    }
+
+    static defaultSends() {
+        const sends = {};
+        SendFX.BUSES.forEach(b => { sends[b] = 0; });
+        return sends;
+    }
+
+    // Send level 0-100 -> gain (same curve as the drum faders)
+    static sendGain(val) {
+        return (Math.max(0, Math.min(100, val)) / 100) ** 1.5;
+    }
+
+    // Feedback lowpass: 500 Hz .. 16 kHz
+    static toneHz(val) {
+        return 500 * Math.pow(2, (Math.max(0, Math.min(100, val)) / 100) * 5);
+    }
+
+    // Reverb length: 0.3 .. 6 s
+    static reverbTime(size) {
+        return 0.3 + Math.pow(Math.max(0, Math.min(100, size)) / 100, 1.5) * 5.7;
+    }
+
+    /**
+     * Stereo impulse: seeded noise with a -60 dB exponential tail, darkened over time by a one-pole lowpass.
+     * @returns {AudioBuffer}
+     */
+    static createImpulse(ctx, settings, seed = 23) {
+        const length = Math.floor(SendFX.reverbTime(settings.size) * ctx.sampleRate);
+        const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+        const damp = Math.max(0, Math.min(100, settings.damp)) / 100;
+
+        for (let c = 0; c < 2; c++) {
+            const data = buffer.getChannelData(c);
+            let a = (seed + c * 7919) >>> 0;
+            const random = () => { a = (Math.imul(a, 1664525) + 1013904223) >>> 0; return a / 4294967296; };
+            let lp = 0;
+            for (let i = 0; i < length; i++) {
+                const f = i / length;
+                const coef = damp * 0.97 * f; // More damping towards the end of the tail
+                lp += (1 - coef) * ((random() * 2 - 1) - lp);
+                data[i] = lp * Math.exp(-6.9 * f);
+            }
+        }
+        return buffer;
+    }
+
+    constructor() {
+        this.ctx = null;
+        this.settings = SendFX.defaultSettings();
+        this.buses = {};     // Bus -> { input, output, ...nodes }
+        this.secPerBeat = 0.5;
+        this.building = false; // Settings are written directly while the graph is built
+    }
+
+    /**
+     * @param {AudioNode} destination - Master bus the returns feed
+     * @param {number} secPerBeat - Initial delay tempo
+     */
+    init(audioContext, destination, secPerBeat = this.secPerBeat) {
+        this.ctx = audioContext;
+        this.secPerBeat = secPerBeat;
+        this.buses = { delay: this.createDelay(), reverb: this.createReverb() };
+        // Return -> Duck (see Sidechain) -> Master
+        SendFX.BUSES.forEach(b => {
+            const bus = this.buses[b];
+            bus.duck = this.ctx.createGain();
+            bus.output.connect(bus.duck);
+            bus.duck.connect(destination);
+        });
+        this.building = true;
+        this.applySettings();
+        this.building = false;
+    }
+
+    // --- Ping-Pong Delay ---
+    // Mono input -> Left tap -> Right tap -> feedback (highpass + tone lowpass) -> Left tap
+    createDelay() {
+        const input = this.ctx.createGain();
+        input.channelCount = 1;
+        input.channelCountMode = 'explicit';
+
+        const left = this.ctx.createDelay(4);
+        const right = this.ctx.createDelay(4);
+        const feedback = this.ctx.createGain();
+        const lowCut = this.ctx.createBiquadFilter();
+        lowCut.type = 'highpass';
+        lowCut.frequency.value = 150; // Keep repeats out of the sub
+        const tone = this.ctx.createBiquadFilter();
+        tone.type = 'lowpass';
+
+        input.connect(left);
+        left.connect(right);
+        right.connect(lowCut);
+        lowCut.connect(tone);
+        tone.connect(feedback);
+        feedback.connect(left);
+
+        const merger = this.ctx.createChannelMerger(2);
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+        const output = this.ctx.createGain();
+        merger.connect(output);
+
+        return { input, output, left, right, feedback, tone };
+    }
+
+    // --- Reverb ---
+    // Input -> low cut -> predelay -> convolver (generated impulse)
+    createReverb() {
+        const input = this.ctx.createGain();
+        const lowCut = this.ctx.createBiquadFilter();
+        lowCut.type = 'highpass';
+        lowCut.frequency.value = 120;
+        const predelay = this.ctx.createDelay(0.5);
+        const convolver = this.ctx.createConvolver();
+        const output = this.ctx.createGain();
+
+        input.connect(lowCut);
+        lowCut.connect(predelay);
+        predelay.connect(convolver);
+        convolver.connect(output);
+
+        return { input, output, predelay, convolver, impulseKey: null };
+    }
+
+    reset() {
+        this.settings = SendFX.defaultSettings();
+        this.applySettings();
+    }
+
+    // Pushes every setting to the nodes (after init or a project load)
+    applySettings() {
+        SendFX.BUSES.forEach(bus => Object.keys(this.settings[bus]).forEach(k => this.setParam(bus, k, this.settings[bus][k])));
+    }
+
+    setParam(bus, key, val) {
+        const s = this.settings[bus];
+        if (!s || !(key in s)) return;
+        if (key === 'division') s.division = SendFX.DIVISIONS[val] ? val : s.division;
+        else s[key] = Math.round(Math.max(0, Math.min(100, parseFloat(val) || 0)));
+
+        const b = this.buses[bus];
+        if (!b || !this.ctx) return;
+        if (key === 'level') this.setValue(b.output.gain, s.level / 100);
+        else if (bus === 'delay') {
+            if (key === 'division') this.setDelayTime(this.ctx.currentTime);
+            else if (key === 'feedback') this.setValue(b.feedback.gain, (s.feedback / 100) * 0.95);
+            else if (key === 'tone') this.setValue(b.tone.frequency, SendFX.toneHz(s.tone));
+        } else if (bus === 'reverb') {
+            if (key === 'predelay') this.setValue(b.predelay.delayTime, s.predelay / 1000);
+            else this.updateImpulse();
+        }
+    }
+
+    setValue(param, val, time = this.ctx.currentTime, tc = 0.02) {
+        if (this.building) param.value = val;
+        else param.setTargetAtTime(val, time, tc);
+    }
+
+    // The impulse is only rebuilt when its shape changes
+    updateImpulse() {
+        const b = this.buses.reverb;
+        const key = `${this.settings.reverb.size}|${this.settings.reverb.damp}`;
+        if (!b || b.impulseKey === key) return;
+        b.convolver.buffer = SendFX.createImpulse(this.ctx, this.settings.reverb);
+        b.impulseKey = key;
+    }
+
+    setDelayTime(time) {
+        const b = this.buses.delay;
+        if (!b) return;
+        const sec = Math.min(2, SendFX.DIVISIONS[this.settings.delay.division] * this.secPerBeat);
+        this.setValue(b.left.delayTime, sec, time, 0.05);
+        this.setValue(b.right.delayTime, sec, time, 0.05);
+    }
+
+    // Delay follows the step tempo (tempo ramps included), like the synced LFOs
+    update(time, secPerBeat) {
+        if (secPerBeat === this.secPerBeat) return;
+        this.secPerBeat = secPerBeat;
+        this.setDelayTime(time);
+    }
+
+    /**
+     * Post-fader sends from a source node into every bus.
+     * @param {object} levels - { bus: 0-100 }
+     * @returns {object} { bus: GainNode }
+     */
+    connectSends(source, levels = {}) {
+        const nodes = {};
+        SendFX.BUSES.forEach(bus => {
+            if (!this.buses[bus]) return;
+            const g = this.ctx.createGain();
+            g.gain.value = SendFX.sendGain(levels[bus] || 0);
+            source.connect(g);
+            g.connect(this.buses[bus].input);
+            nodes[bus] = g;
+        });
+        return nodes;
+    }
+
+    static setSendLevel(node, val) {
+        if (node) node.gain.setTargetAtTime(SendFX.sendGain(val), node.context.currentTime, 0.02);
+    }
+}
+
+window.SendFX = SendFX;
@@ -0,0 +1,125 @@
+/*
+ * SIDECHAIN MODULE (v1.0)
+ * Sequenced ducking: every hit of the source drum channel writes a gain envelope (attack -> floor -> release)
+ * on a duck gain of each target. Nothing follows the audio, so live playback and offline render duck identically.
+ * One instance per playback session (live transport or offline render), like Automation.
+ *
+ * Targets: '<synthId>' (BassSynth.duckGain), send buses (SendFX.BUSES), 'master' (AudioEngine.masterDuck)
+ */
+
+class Sidechain {
+    static get CURVES() { return ['lin', 'exp', 'log']; }
+
+    static label(curve) {
+        const map = { lin: 'LINEAR', exp: 'EXP', log: 'LOG' };
+        return map[curve] || curve.toUpperCase();
+    }
+
+    /**
+     * source: drum channel id - depth: 0-100 (0 = off) - attack / release: 0-100 - curve: release shape
+     * Key order is the CSV order (see TimeMatrix.exportToCSV)
+     */
+    static defaultSettings() {
+        return { source: 0, depth: 0, attack: 10, release: 40, curve: 'log', targets: [] };
+    }
+
+    // Attack: 0.5 .. 50 ms
+    static attackSec(val) {
+        return 0.0005 + Math.pow(Math.max(0, Math.min(100, val)) / 100, 2) * 0.0495;
+    }
+
+    // Release: 20 ms .. 1 s
+    static releaseSec(val) {
+        return 0.02 + Math.pow(Math.max(0, Math.min(100, val)) / 100, 2) * 0.98;
+    }
+
+    // Release shape (0..1 -> 0..1): exp recovers late, log recovers early
+    static shape(curve, f) {
+        if (curve === 'exp') return (Math.pow(2, 6 * f) - 1) / 63;
+        if (curve === 'log') return 1 - (Math.pow(2, 6 * (1 - f)) - 1) / 63;
+        return f;
+    }
+
+    // Linear pieces per curved release
+    static get SEGMENTS() { return 8; }
+
+    /** @returns {Array} [{ id, label }] for every target in the current project */
+    static getTargets() {
+        const targets = [];
+        if (window.audioEngine) window.audioEngine.bassSynths.forEach(s => targets.push({ id: s.id, label: s.id.toUpperCase() }));
+        if (window.SendFX) window.SendFX.BUSES.forEach(b => targets.push({ id: b, label: window.SendFX.label(b) }));
+        targets.push({ id: 'master', label: 'MASTER' });
+        return targets;
+    }
+
+    /** @param {object} out - { synths, sends, masterDuck } (see AudioEngine.triggerStep) */
+    static getParam(target, out) {
+        if (target === 'master') return out.masterDuck ? out.masterDuck.gain : null;
+        if (out.sends && out.sends.buses[target]) return out.sends.buses[target].duck.gain;
+        const synth = (out.synths || []).find(s => s.id === target);
+        return synth && synth.duckGain ? synth.duckGain.gain : null;
+    }
+
+    constructor(settings = Sidechain.defaultSettings()) {
+        this.settings = settings;
+        this.points = []; // Envelope of the last hit [[time, gain], ...]
+    }
+
+    reset() {
+        this.points = [];
+    }
+
+    setParam(key, val) {
+        const s = this.settings;
+        if (key === 'curve') s.curve = Sidechain.CURVES.includes(val) ? val : s.curve;
+        else if (key === 'source') s.source = Math.max(0, parseInt(val) || 0);
+        else if (key in s && key !== 'targets') s[key] = Math.round(Math.max(0, Math.min(100, parseFloat(val) || 0)));
+    }
+
+    toggleTarget(target) {
+        const s = this.settings;
+        s.targets = s.targets.includes(target) ? s.targets.filter(t => t !== target) : [...s.targets, target];
+    }
+
+    // Envelope value at a time (the written pieces are linear, so this is exactly what the params play)
+    valueAt(time) {
+        const pts = this.points;
+        if (!pts.length || time < pts[0][0]) return 1;
+        for (let i = 0; i < pts.length - 1; i++) {
+            const [t0, v0] = pts[i], [t1, v1] = pts[i + 1];
+            if (time < t1) return v0 + (v1 - v0) * (time - t0) / (t1 - t0);
+        }
+        return pts[pts.length - 1][1];
+    }
+
+    /**
+     * Ducks every target from one drum trigger. A hit landing inside the previous envelope
+     * starts from wherever that envelope is, so fast patterns keep pumping without jumps.
+     */
+    trigger(channelId, time, out) {
+        const s = this.settings;
+        if (channelId !== s.source || s.depth <= 0 || !s.targets.length) return;
+
+        const from = this.valueAt(time);
+        const floor = 1 - s.depth / 100;
+        const attackEnd = time + Sidechain.attackSec(s.attack);
+        const release = Sidechain.releaseSec(s.release);
+        const n = s.curve === 'lin' ? 1 : Sidechain.SEGMENTS;
+        const pts = [[time, from], [attackEnd, floor]];
+        for (let k = 1; k <= n; k++) pts.push([attackEnd + (k / n) * release, floor + (1 - floor) * Sidechain.shape(s.curve, k / n)]);
+
+        const resume = this.points.length > 0;
+        s.targets.forEach(target => {
+            const param = Sidechain.getParam(target, out);
+            if (!param) return;
+            param.cancelScheduledValues(time);
+            // Closes the piece of the previous envelope the cancel cut off
+            if (resume) param.linearRampToValueAtTime(from, time);
+            else param.setValueAtTime(from, time);
+            pts.slice(1).forEach(([t, v]) => param.linearRampToValueAtTime(v, t));
+        });
+        this.points = pts;
+    }
+}
+
+window.Sidechain = Sidechain;
@@ -6,9 +6,13 @@
 
 class TimeMatrix {
     constructor(steps = 16) {
-        this.totalSteps = steps;
+        this.totalSteps = steps; // Default length for new blocks
+        this.maxSteps = 64;
         this.gridCols = 4;
-        this.blocks = [];
+        this.blocks = []; // Pattern bank
+        this.song = [];   // Arrangement: [{ pattern: blockIndex, repeats: n }] (empty = chain every block)
+        this.cues = {};   // Cue points: number -> { pos: song order position, step }
+        this.automation = {}; // Song automation lanes: target -> [{ pos: song step, value, curve }] (see Automation)
         this.containerId = 'matrix-container';
         this.selectedStep = 0;
         this.clipboard = null;
@@ -20,6 +24,9 @@ class TimeMatrix {
             'F#': 7, 'G': 8, 'G#': 9, 'A': 10, 'A#': 11, 'B': 12
         };
 
+        // Step Resolutions: key -> steps per quarter note
+        this.resolutions = { '8': 2, '8T': 3, '16': 4, '16T': 6, '32': 8 };
+
         this.addBlock();
     }
 
@@ -29,81 +36,491 @@ class TimeMatrix {
     }
 
     registerTrack(id) {
-        this.blocks.forEach(b => { if (!b.tracks[id]) b.tracks[id] = new Array(this.totalSteps).fill(null); });
+        this.blocks.forEach(b => { if (!b.tracks[id]) b.tracks[id] = new Array(b.drums.length).fill(null); });
     }
 
     removeTrack(id) {
-        this.blocks.forEach(b => delete b.tracks[id]);
+        this.blocks.forEach(b => { delete b.tracks[id]; if (b.laneLengths) delete b.laneLengths[id]; });
+        // Automation lanes of the synth go with it
+        [this.automation, ...this.blocks.map(b => b.automation || {})].forEach(lanes => {
+            Object.keys(lanes).forEach(t => { if (t.startsWith(`${id}.`)) delete lanes[t]; });
+        });
     }
 
     addBlock() {
         const newTracks = {};
         if (this.blocks.length > 0) Object.keys(this.blocks[0].tracks).forEach(k => newTracks[k] = new Array(this.totalSteps).fill(null));
         else newTracks['bass-1'] = new Array(this.totalSteps).fill(null);
-        this.blocks.push({ tracks: newTracks, drums: new Array(this.totalSteps).fill().map(() => []) });
+        this.blocks.push({
+            tracks: newTracks,
+            drums: new Array(this.totalSteps).fill().map(() => []),
+            groove: null,
+            length: this.totalSteps, // Active steps (1-64)
+            resolution: '16',        // Key of this.resolutions
+            laneLengths: {},         // Polymetric loop length per lane (Synth ID or 'drum-<channel>')
+            tempo: null,             // { start, end } BPM ramp across the block (null = global BPM)
+            automation: {}           // Block automation lanes: target -> [{ pos: step, value, curve }]
+        });
     }
 
-    duplicateBlock(idx) {
-        if (!this.blocks[idx]) return;
-        const org = this.blocks[idx];
+    // --- BLOCK LENGTH & RESOLUTION ---
+    getBlockLength(b) {
+        return (b && b.length) ? b.length : this.totalSteps;
+    }
+
+    getStepsPerBeat(b) {
+        return this.resolutions[(b && b.resolution) || '16'] || 4;
+    }
+
+    /** @param {number} bpm - Global tempo, used by blocks without their own tempo */
+    getSecPerStep(b, bpm, step = 0) {
+        return (60.0 / this.getStepBpm(b, step, bpm)) / this.getStepsPerBeat(b);
+    }
+
+    // --- TEMPO ---
+    // A block tempo ramps linearly from 'start' (step 0) towards 'end' (reached where the next block begins)
+    getStepBpm(b, step, bpm) {
+        if (!b || !b.tempo) return parseFloat(bpm);
+        const { start, end } = b.tempo;
+        return start + (end - start) * (step / this.getBlockLength(b));
+    }
+
+    setBlockTempo(idx, start, end) {
+        const b = this.blocks[idx];
+        if (!b) return false;
+        const clampBpm = (v) => Math.max(40, Math.min(300, v));
+        const s = parseFloat(start);
+        if (isNaN(s) || s <= 0) { b.tempo = null; return true; }
+        const e = parseFloat(end);
+        b.tempo = { start: clampBpm(s), end: clampBpm(isNaN(e) || e <= 0 ? s : e) };
+        return true;
+    }
+
+    /** Duration of steps from..to (inclusive) of a block, following its tempo ramp */
+    getSegmentTime(b, from, to, bpm) {
+        let t = 0;
+        for (let s = from; s <= to; s++) t += this.getSecPerStep(b, bpm, s);
+        return t;
+    }
+
+    /**
+     * Rebuilds block tempos from a tempo map (e.g. MIDI import).
+     * @param {Array} tempos - [{ step: global step, bpm }] sorted by step
+     * @param {number} bpm - Global tempo
+     */
+    applyTempoMap(tempos, bpm) {
+        if (!tempos || !tempos.length) return;
+        let acc = 0;
+        this.blocks.forEach(b => {
+            const len = this.getBlockLength(b);
+            const at = (step) => {
+                let v = bpm;
+                tempos.forEach(tp => { if (tp.step <= step) v = tp.bpm; });
+                return v;
+            };
+            const start = at(acc);
+            const last = at(acc + len - 1);
+            // Ramps are stored by their target at the block end, one step past the last tempo change
+            const end = (len > 1 && last !== start) ? Math.round((start + (last - start) * len / (len - 1)) * 10) / 10 : last;
+            b.tempo = (start === bpm && end === bpm) ? null : { start, end };
+            acc += len;
+        });
+    }
+
+    // Step arrays never shrink: shortening a block hides steps instead of deleting them
+    setBlockLength(idx, len) {
+        const b = this.blocks[idx];
+        if (!b) return false;
+        const n = Math.max(1, Math.min(this.maxSteps, parseInt(len) || this.totalSteps));
+        while (b.drums.length < n) {
+            b.drums.push([]);
+            Object.keys(b.tracks).forEach(k => b.tracks[k].push(null));
+        }
+        Object.keys(b.tracks).forEach(k => { while (b.tracks[k].length < b.drums.length) b.tracks[k].push(null); });
+        b.length = n;
+        if (this.selectedStep >= n) this.selectedStep = n - 1;
+        return true;
+    }
+
+    setBlockResolution(idx, res) {
+        const b = this.blocks[idx];
+        if (!b || !this.resolutions[res]) return false;
+        b.resolution = res;
+        return true;
+    }
+
+    // --- POLYMETRIC LANES ---
+    // A lane loops over its own length inside the block (never longer than the block itself)
+    getLaneLength(b, laneId) {
+        const len = this.getBlockLength(b);
+        const own = b && b.laneLengths ? b.laneLengths[laneId] : 0;
+        return own ? Math.min(own, len) : len;
+    }
+
+    setLaneLength(idx, laneId, len) {
+        const b = this.blocks[idx];
+        if (!b) return false;
+        if (!b.laneLengths) b.laneLengths = {};
+        const n = Math.max(1, Math.min(this.getBlockLength(b), parseInt(len) || 0));
+        if (!parseInt(len) || n === this.getBlockLength(b)) delete b.laneLengths[laneId];
+        else b.laneLengths[laneId] = n;
+        return true;
+    }
+
+    /**
+     * Position of a lane inside its own loop. Lanes keep phasing across block repeats.
+     * @param {number} pass - How many times the block has already played
+     */
+    getLanePosition(b, laneId, step, pass = 0) {
+        const abs = pass * this.getBlockLength(b) + step;
+        return abs % this.getLaneLength(b, laneId);
+    }
+
+    // Maps a global (song) step to its block/step, following every block's own length
+    locateGlobalStep(stepGlobal) {
+        let acc = 0;
+        for (let i = 0; i < this.blocks.length; i++) {
+            const len = this.getBlockLength(this.blocks[i]);
+            if (stepGlobal < acc + len) return { blockIdx: i, stepIdx: stepGlobal - acc };
+            acc += len;
+        }
+        return { blockIdx: -1, stepIdx: -1 };
+    }
+
+    // Deep copy of a block (notes, drums and block-level settings)
+    cloneBlock(org) {
         const newTracks = {};
         Object.keys(org.tracks).forEach(k => {
-            newTracks[k] = org.tracks[k].map(n => n ? { ...n } : null);
+            newTracks[k] = org.tracks[k].map(n => n ? TimeMatrix.copyTrig(n) : null);
         });
-        this.blocks.splice(idx + 1, 0, { tracks: newTracks, drums: org.drums.map(d => [...d]) });
+        return {
+            tracks: newTracks,
+            drums: org.drums.map(d => d.map(h => TimeMatrix.copyTrig(h))),
+            groove: org.groove || null,
+            length: this.getBlockLength(org),
+            resolution: org.resolution || '16',
+            laneLengths: { ...(org.laneLengths || {}) },
+            tempo: org.tempo ? { ...org.tempo } : null,
+            automation: TimeMatrix.copyLanes(org.automation)
+        };
+    }
+
+    duplicateBlock(idx) {
+        if (!this.blocks[idx]) return;
+        this.blocks.splice(idx + 1, 0, this.cloneBlock(this.blocks[idx]));
+        this.remapSong(p => p > idx ? p + 1 : p);
     }
 
     copyToClipboard(idx) {
         if (!this.blocks[idx]) return false;
-        const org = this.blocks[idx];
-        const newTracks = {};
-        Object.keys(org.tracks).forEach(k => {
-            newTracks[k] = org.tracks[k].map(n => n ? { ...n } : null);
-        });
-        const newDrums = org.drums.map(d => [...d]);
-        this.clipboard = { tracks: newTracks, drums: newDrums };
+        this.clipboard = this.cloneBlock(this.blocks[idx]);
         return true;
     }
 
     pasteFromClipboard(idx) {
         if (!this.clipboard) return false;
-        const source = this.clipboard;
-        const newTracks = {};
-        Object.keys(source.tracks).forEach(k => {
-            newTracks[k] = source.tracks[k].map(n => n ? { ...n } : null);
-        });
-        const newDrums = source.drums.map(d => [...d]);
-        this.blocks.splice(idx + 1, 0, { tracks: newTracks, drums: newDrums });
+        this.blocks.splice(idx + 1, 0, this.cloneBlock(this.clipboard));
+        this.remapSong(p => p > idx ? p + 1 : p);
         return true;
     }
 
-    removeBlock(idx) { if (this.blocks.length <= 1) this.clearBlock(0); else this.blocks.splice(idx, 1); }
+    removeBlock(idx) {
+        if (this.blocks.length <= 1) { this.clearBlock(0); return; }
+        this.blocks.splice(idx, 1);
+        this.remapSong(p => p === idx ? -1 : (p > idx ? p - 1 : p));
+    }
 
     moveBlock(idx, dir) {
         const t = idx + dir;
         if (t < 0 || t >= this.blocks.length) return false;
         const tmp = this.blocks[t]; this.blocks[t] = this.blocks[idx]; this.blocks[idx] = tmp;
+        this.remapSong(p => p === idx ? t : (p === t ? idx : p));
         return true;
     }
 
+    // --- SONG ARRANGEMENT ---
+    // Song entries reference patterns by bank index, so bank edits must remap them (-1 = drop)
+    remapSong(fn) {
+        this.song = this.song.map(e => ({ ...e, pattern: fn(e.pattern) })).filter(e => e.pattern >= 0);
+    }
+
+    addToSong(pattern, repeats = 1, pos = this.song.length) {
+        if (!this.blocks[pattern]) return false;
+        this.song.splice(pos, 0, { pattern, repeats: Math.max(1, Math.min(this.maxSteps, parseInt(repeats) || 1)) });
+        return true;
+    }
+
+    removeFromSong(pos) {
+        if (!this.song[pos]) return false;
+        this.song.splice(pos, 1);
+        return true;
+    }
+
+    setSongRepeats(pos, repeats) {
+        if (!this.song[pos]) return false;
+        this.song[pos].repeats = Math.max(1, Math.min(this.maxSteps, parseInt(repeats) || 1));
+        return true;
+    }
+
+    moveSongEntry(pos, dir) {
+        const t = pos + dir;
+        if (!this.song[pos] || t < 0 || t >= this.song.length) return false;
+        const tmp = this.song[t]; this.song[t] = this.song[pos]; this.song[pos] = tmp;
+        return true;
+    }
+
+    /** Flat playback order (pattern indices, repeats expanded). No arrangement = every block in bank order. */
+    getSongOrder() {
+        if (!this.song.length) return this.blocks.map((_, i) => i);
+        const order = [];
+        this.song.forEach(e => { for (let r = 0; r < e.repeats; r++) order.push(e.pattern); });
+        return order;
+    }
+
+    getSongBlocks() {
+        return this.getSongOrder().map(i => this.blocks[i]);
+    }
+
+    /** Song step where a song order position starts (song automation lanes are positioned in song steps) */
+    getSongStepOffset(orderPos) {
+        return this.getSongOrder().slice(0, Math.max(0, orderPos)).reduce((acc, b) => acc + this.getBlockLength(this.blocks[b]), 0);
+    }
+
+    // --- AUTOMATION LANES ---
+    // blockIdx null = song lane
+    getAutomationLanes(blockIdx = null) {
+        if (blockIdx === null) return this.automation;
+        const b = this.blocks[blockIdx];
+        if (!b) return null;
+        if (!b.automation) b.automation = {};
+        return b.automation;
+    }
+
+    setAutomationPoint(blockIdx, target, pos, value, curve = 'lin') {
+        const lanes = this.getAutomationLanes(blockIdx);
+        if (!lanes || !window.Automation) return false;
+        const range = window.Automation.range(target);
+        const point = {
+            pos: Math.max(0, pos),
+            value: Math.max(range[0], Math.min(range[1], value)),
+            curve: window.Automation.CURVES.includes(curve) ? curve : 'lin'
+        };
+        const lane = (lanes[target] || []).filter(p => p.pos !== point.pos);
+        lane.push(point);
+        lane.sort((a, b) => a.pos - b.pos);
+        lanes[target] = lane;
+        return true;
+    }
+
+    removeAutomationPoint(blockIdx, target, pos) {
+        const lanes = this.getAutomationLanes(blockIdx);
+        if (!lanes || !lanes[target]) return false;
+        lanes[target] = lanes[target].filter(p => p.pos !== pos);
+        if (!lanes[target].length) delete lanes[target];
+        return true;
+    }
+
+    clearAutomation(blockIdx, target) {
+        const lanes = this.getAutomationLanes(blockIdx);
+        if (lanes) delete lanes[target];
+    }
+
+    static copyLanes(lanes) {
+        const copy = {};
+        Object.keys(lanes || {}).forEach(t => { copy[t] = lanes[t].map(p => ({ ...p })); });
+        return copy;
+    }
+
+    // CSV: Pos>Value>Curve;... ('l' = linear, 'e' = exponential)
+    static encodeLane(points) {
+        return points.map(p => `${Math.round(p.pos * 100) / 100}>${Math.round(p.value * 100) / 100}>${p.curve === 'exp' ? 'e' : 'l'}`).join(';');
+    }
+
+    // --- LOOP REGION & CUES ---
+    /** First song order position that plays a block (-1 if it isn't arranged) */
+    findOrderPosition(blockIdx) {
+        return this.getSongOrder().indexOf(blockIdx);
+    }
+
+    /**
+     * Clamps a loop region ({ startPos, startStep, endPos, endStep }) to the current song,
+     * swapping its ends when they are reversed.
+     */
+    normalizeLoop(loop) {
+        const order = this.getSongOrder();
+        const clampPoint = (pos, step) => {
+            const p = Math.max(0, Math.min(order.length - 1, pos || 0));
+            const len = this.getBlockLength(this.blocks[order[p]]);
+            return { pos: p, step: Math.max(0, Math.min(len - 1, step || 0)) };
+        };
+        let a = clampPoint(loop.startPos, loop.startStep);
+        let b = clampPoint(loop.endPos, loop.endStep);
+        if (b.pos < a.pos || (b.pos === a.pos && b.step < a.step)) { const t = a; a = b; b = t; }
+        return { startPos: a.pos, startStep: a.step, endPos: b.pos, endStep: b.step };
+    }
+
+    /**
+     * Playback segments in song order: [{ pos, block, from, to }] (steps inclusive).
+     * @param {object} loop - Optional loop region; null = whole song
+     */
+    getPlaySegments(loop = null) {
+        const order = this.getSongOrder();
+        const r = loop ? this.normalizeLoop(loop) : null;
+        const segments = [];
+        order.forEach((b, pos) => {
+            if (r && (pos < r.startPos || pos > r.endPos)) return;
+            const last = this.getBlockLength(this.blocks[b]) - 1;
+            segments.push({
+                pos, block: b,
+                from: (r && pos === r.startPos) ? r.startStep : 0,
+                to: (r && pos === r.endPos) ? r.endStep : last
+            });
+        });
+        return segments;
+    }
+
+    setCue(num, pos, step) {
+        this.cues[num] = { pos: Math.max(0, pos), step: Math.max(0, step) };
+    }
+
+    clearCue(num) { delete this.cues[num]; }
+
+    /** Song entry index playing at a flat order position (-1 when chaining the bank) */
+    getSongEntryAt(orderPos) {
+        let acc = 0;
+        for (let i = 0; i < this.song.length; i++) {
+            acc += this.song[i].repeats;
+            if (orderPos < acc) return i;
+        }
+        return -1;
+    }
+
     clearBlock(idx) {
         const b = this.blocks[idx];
         if (!b) return;
         Object.keys(b.tracks).forEach(k => b.tracks[k].fill(null));
         b.drums.forEach(d => d.length = 0);
+        b.automation = {};
     }
 
-    getStepData(step, block) {
-        const b = this.blocks[block];
+    /**
+     * Resolves what plays on a block step, with every lane at its own loop position.
+     * @param {number} pass - How many times the block has already played (for lane phasing)
+     * @returns {object} { block, tracks, notes: {trackId: note}, drums: [hit] }
+     */
+    getStepData(step, block, pass = 0) {
+        return this.resolveStep(this.blocks[block], step, pass);
+    }
+
+    resolveStep(b, step, pass = 0) {
         if (!b) return {};
-        return { tracks: b.tracks, drums: b.drums[step] || [] };
+
+        const notes = {};
+        Object.keys(b.tracks).forEach(tid => {
+            notes[tid] = b.tracks[tid][this.getLanePosition(b, tid, step, pass)] || null;
+        });
+
+        // Each drum channel reads its hit from its own lane position
+        const drums = [];
+        const channels = new Set();
+        b.drums.forEach(d => d.forEach(h => channels.add(h.id)));
+        channels.forEach(ch => {
+            const pos = this.getLanePosition(b, `drum-${ch}`, step, pass);
+            const hit = TimeMatrix.findDrumHit(b.drums[pos], ch);
+            if (hit) drums.push({ ...hit });
+        });
+
+        return { block: b, tracks: b.tracks, notes, drums };
+    }
+
+    // --- CSV CELL EXTRAS ---
+    // Optional per-step fields are appended to a cell as '|key=value' pairs (e.g. '5-3-0-1|n=-12').
+    formatCellExtras(extras) {
+        let str = '';
+        Object.keys(extras).forEach(k => {
+            const v = extras[k];
+            if (v !== undefined && v !== null && v !== 0 && v !== '') str += `|${k}=${v}`;
+        });
+        return str;
+    }
+
+    parseCellExtras(parts) {
+        const extras = {};
+        parts.forEach(p => {
+            const idx = p.indexOf('=');
+            if (idx > 0) extras[p.substring(0, idx)] = p.substring(idx + 1);
+        });
+        return extras;
+    }
+
+    // --- DRUM HITS ---
+    // A drum step is an array of hit objects:
+    // { id, vel (1-127), decay (-50..50 %), pitch (-12..12 st), ratchet (1-4 per step), flam (bool),
+    //   prob (0-100 %), cond (trig condition, see TrigConditions), nudge (fraction of a step, see clampNudge) }
+    static makeDrumHit(id, vel = 127) {
+        return { id: id, vel: vel, decay: 0, pitch: 0, ratchet: 1, flam: false, prob: 100, cond: '', nudge: 0 };
+    }
+
+    static findDrumHit(stepHits, id) {
+        return stepHits ? stepHits.find(h => h.id === id) : undefined;
+    }
+
+    // --- PARAMETER LOCKS ---
+    // A note or drum hit may carry 'locks': { param: value } overriding its synth/channel for that step only.
+
+    static copyTrig(t) {
+        const c = { ...t };
+        if (t.locks) c.locks = { ...t.locks };
+        return c;
+    }
+
+    static hasLocks(t) {
+        return !!(t && t.locks && Object.keys(t.locks).length);
+    }
+
+    // CSV: 'param:value;param:value' (numbers, or words such as a waveform)
+    static encodeLocks(locks) {
+        if (!locks) return undefined;
+        const keys = Object.keys(locks);
+        return keys.length ? keys.map(k => `${k}:${typeof locks[k] === 'number' ? Math.round(locks[k] * 100) / 100 : locks[k]}`).join(';') : undefined;
+    }
+
+    static decodeLocks(str, allowed) {
+        const locks = {};
+        (str || '').split(';').forEach(pair => {
+            const kv = pair.split(':');
+            if (kv.length !== 2 || !allowed.includes(kv[0])) return;
+            const n = parseFloat(kv[1]);
+            locks[kv[0]] = isNaN(n) ? kv[1] : n;
+        });
+        return Object.keys(locks).length ? locks : undefined;
+    }
+
+    // Nudge is stored as a fraction of a step, serialized as integer %
+    static clampNudge(val) {
+        const n = parseFloat(val);
+        return isNaN(n) ? 0 : Math.max(-0.5, Math.min(0.5, n));
+    }
+
+    // Gate is stored as % of a step: below 100 shortens the note, above 100 ties it over the next steps
+    static get DEFAULT_GATE() { return 100; }
+
+    static clampGate(val) {
+        const n = parseInt(val);
+        return isNaN(n) ? TimeMatrix.DEFAULT_GATE : Math.max(5, Math.min(1600, n));
+    }
+
+    /** Note length in seconds for a step lasting secPerStep */
+    static getGateTime(note, secPerStep) {
+        const gate = (note && note.gate) ? note.gate : TimeMatrix.DEFAULT_GATE;
+        return (gate / 100) * secPerStep;
     }
 
     // --- CSV EXPORT SYSTEM (v38 - Color Persistence) ---
     exportToCSV() {
         if (!window.audioEngine) return "";
         const bpm = window.AppState.bpm;
-        const totalStepsGlobal = this.blocks.length * this.totalSteps;
+        const totalStepsGlobal = this.blocks.reduce((acc, b) => acc + this.getBlockLength(b), 0);
         const synths = window.audioEngine.bassSynths;
         const drumSynth = window.drumSynth;
 
@@ -112,22 +529,59 @@ class TimeMatrix {
         for (let i = 1; i <= totalStepsGlobal; i++) csv += `,${i}`;
         csv += "\n";
 
+        // 1b. BLOCK LAYOUT (Length x Resolution per block)
+        csv += `layout:${this.blocks.map(b => `${this.getBlockLength(b)}x${b.resolution || '16'}`).join(';')}\n`;
+
+        // 1c. SONG ARRANGEMENT (only when used) - Format: song:PatternxRepeats;...
+        if (this.song.length) csv += `song:${this.song.map(e => `${e.pattern}x${e.repeats}`).join(';')}\n`;
+
+        // 1d. CUE POINTS (only when used) - Format: cues:Num=Pos.Step;...
+        if (Object.keys(this.cues).length) csv += `cues:${Object.keys(this.cues).map(n => `${n}=${this.cues[n].pos}.${this.cues[n].step}`).join(';')}\n`;
+
+        // 1e. BLOCK TEMPO (only when used) - Format: tempo:Start>End;;... ('' = global BPM)
+        if (this.blocks.some(b => b.tempo)) {
+            csv += `tempo:${this.blocks.map(b => b.tempo ? `${b.tempo.start}>${b.tempo.end}` : '').join(';')}\n`;
+        }
+
+        // 1f. POLYMETRIC LANES (only when used) - Format: lanes:LaneId=Len;LaneId=Len|... (one group per block)
+        if (this.blocks.some(b => b.laneLengths && Object.keys(b.laneLengths).length)) {
+            csv += `lanes:${this.blocks.map(b => Object.keys(b.laneLengths || {}).map(k => `${k}=${b.laneLengths[k]}`).join(';')).join('|')}\n`;
+        }
+
+        // 1g. AUTOMATION (only when used) - Format: auto:Scope@Target=Lane|... (Scope = block index or 's' for song lanes)
+        const autoDefs = [];
+        Object.keys(this.automation).forEach(t => autoDefs.push(`s@${t}=${TimeMatrix.encodeLane(this.automation[t])}`));
+        this.blocks.forEach((b, bIdx) => {
+            Object.keys(b.automation || {}).forEach(t => autoDefs.push(`${bIdx}@${t}=${TimeMatrix.encodeLane(b.automation[t])}`));
+        });
+        if (autoDefs.length) csv += `auto:${autoDefs.join('|')}\n`;
+
         // 2. BASS TRACKS
         synths.forEach(synth => {
             const p = synth.params;
             const waveInt = p.waveform === 'square' ? 1 : 0;
-            const configStr = `${synth.id}:${p.volume}-${p.distortion}-${p.distTone}-${p.distGain}-${p.cutoff}-${p.resonance}-${p.envMod}-${p.decay}-${p.accentInt}-${waveInt}`;
+            const configStr = `${synth.id}:${p.volume}-${p.distortion}-${p.distTone}-${p.distGain}-${p.cutoff}-${p.resonance}-${p.envMod}-${p.decay}-${p.accentInt}-${waveInt}-${p.unison}-${p.detune}-${p.width}-${p.sub}`
+                + `-${p.envMode === 'adsr' ? 1 : 0}-${window.BassSynth.ENV_PARAMS.map(k => p[k]).join('-')}`
+                + `-${Math.max(0, window.BassFilter ? window.BassFilter.MODELS.indexOf(p.filterType) : 0)}`
+                + `-${Math.max(0, window.OscEngine ? window.OscEngine.ENGINES.indexOf(p.engine) : 0)}-${window.BassSynth.ENGINE_PARAMS.map(k => p[k]).join('-')}`;
             let row = configStr;
 
             this.blocks.forEach(block => {
                 const track = block.tracks[synth.id];
-                for (let s = 0; s < this.totalSteps; s++) {
+                for (let s = 0; s < this.getBlockLength(block); s++) {
                     const n = track ? track[s] : null;
                     if (n) {
                         const nInt = this.noteMap[n.note] || 0;
                         const sld = n.slide ? 1 : 0;
                         const acc = n.accent ? 1 : 0;
-                        row += `,${nInt}-${n.octave}-${sld}-${acc}`;
+                        const extras = this.formatCellExtras({
+                            n: Math.round((n.nudge || 0) * 100),
+                            p: (n.prob !== undefined && n.prob < 100) ? n.prob : undefined,
+                            c: window.TrigConditions ? window.TrigConditions.encode(n.cond) : undefined,
+                            g: (n.gate && n.gate !== TimeMatrix.DEFAULT_GATE) ? n.gate : undefined,
+                            l: TimeMatrix.encodeLocks(n.locks)
+                        });
+                        row += `,${nInt}-${n.octave}-${sld}-${acc}${extras}`;
                     } else {
                         row += `,0`;
                     }
@@ -136,6 +590,70 @@ class TimeMatrix {
             csv += row + "\n";
         });
 
+        // 2b. MODULATION (only when used) - Format: mod:SynthId=Lfo;Lfo;Src>Dest>Amount;...|...
+        // Lfo: Shape.Rate.Sync.Division.Retrig
+        const modDefs = synths.map(synth => {
+            const p = synth.params;
+            const def = JSON.stringify(window.BassSynth.defaultLfo());
+            const routes = p.mods.filter(m => m.dest && m.amount);
+            if (!routes.length && p.lfos.every(l => JSON.stringify(l) === def)) return null;
+            const lfos = p.lfos.map(l => `${l.shape}.${l.rate}.${l.sync ? 1 : 0}.${l.division}.${l.retrig ? 1 : 0}`);
+            return `${synth.id}=${[...lfos, ...routes.map(m => `${m.src}>${m.dest}>${m.amount}`)].join(';')}`;
+        }).filter(Boolean);
+        if (modDefs.length) csv += `mod:${modDefs.join('|')}\n`;
+
+        // 2c. SEND FX (only when used) - Format: sends:Bus=Setting.Setting...;Bus=...|Owner=Level.Level|... (levels in SendFX.BUSES order)
+        const sendFx = window.audioEngine.sendFx;
+        if (sendFx) {
+            const buses = window.SendFX.BUSES;
+            const busDefs = buses.map(b => `${b}=${Object.values(sendFx.settings[b]).join('.')}`).join(';');
+            const owners = synths.map(s => [s.id, s.params.sends])
+                .concat(drumSynth ? drumSynth.channels.map(ch => [`drum.${ch.id}`, ch.sends]) : [])
+                .filter(([, sends]) => buses.some(b => sends[b] > 0));
+            const defaults = window.SendFX.defaultSettings();
+            const defDefs = buses.map(b => `${b}=${Object.values(defaults[b]).join('.')}`).join(';');
+            if (owners.length || busDefs !== defDefs) {
+                csv += `sends:${[busDefs, ...owners.map(([id, sends]) => `${id}=${buses.map(b => sends[b] || 0).join('.')}`)].join('|')}\n`;
+            }
+        }
+
+        // 2d. INSERT FX (only when used) - Format: fx:Owner=Type.Bypass.Param.Param...;Type...|Owner=...
+        // Params in InsertFX.PARAMS order
+        if (window.InsertFX) {
+            const chains = synths.map(s => [s.id, s.params.inserts])
+                .concat(drumSynth ? drumSynth.channels.map(ch => [`drum.${ch.id}`, ch.inserts]) : [])
+                .filter(([, slots]) => slots && slots.length);
+            if (chains.length) {
+                csv += `fx:${chains.map(([id, slots]) => `${id}=${slots.map(slot => {
+                    const vals = window.InsertFX.PARAMS[slot.type].map(([k]) => slot.params[k]);
+                    return [slot.type, slot.bypass ? 1 : 0, ...vals].join('.');
+                }).join(';')}`).join('|')}\n`;
+            }
+        }
+
+        // 2e. SIDECHAIN (only when used) - Format: duck:Source.Depth.Attack.Release.Curve|Target;Target...
+        const sidechain = window.audioEngine.sidechain;
+        if (sidechain) {
+            const st = sidechain.settings;
+            const def = window.Sidechain.defaultSettings();
+            const vals = ['source', 'depth', 'attack', 'release', 'curve'];
+            if (st.targets.length || vals.some(k => st[k] !== def[k])) {
+                csv += `duck:${vals.map(k => st[k]).join('.')}|${st.targets.join(';')}\n`;
+            }
+        }
+
+        // 2f. MIXER (only when used) - Format: mix:master=Vol.Thr.Knee.Ratio.Atk.Rel|Owner=Pan.Mute.Solo|...
+        const master = window.audioEngine.masterSettings;
+        if (master) {
+            const strips = synths.map(s => [s.id, s.params])
+                .concat(drumSynth ? drumSynth.channels.map(ch => [`drum.${ch.id}`, ch]) : [])
+                .filter(([, st]) => st.pan || st.mute || st.solo);
+            const masterDef = Object.values(master).join('.');
+            if (strips.length || masterDef !== Object.values(window.Mixer.defaultMaster()).join('.')) {
+                csv += `mix:${[`master=${masterDef}`, ...strips.map(([id, st]) => `${id}=${st.pan}.${st.mute ? 1 : 0}.${st.solo ? 1 : 0}`)].join('|')}\n`;
+            }
+        }
+
         // 3. DRUMS TRACK
         if (drumSynth) {
             // Header: drums:MasterVol:Count|Ch1Data|Ch2Data...
@@ -154,19 +672,46 @@ class TimeMatrix {
             let drumRow = drumConfig;
 
             this.blocks.forEach(block => {
-                for (let s = 0; s < this.totalSteps; s++) {
+                for (let s = 0; s < this.getBlockLength(block); s++) {
                     const dStep = block.drums[s] || [];
                     let binary = "";
+                    const extras = {};
                     // Write binary for ALL channels
                     drumSynth.channels.forEach(ch => {
-                        binary += dStep.includes(ch.id) ? "1" : "0";
+                        const hit = TimeMatrix.findDrumHit(dStep, ch.id);
+                        binary += hit ? "1" : "0";
+                        // Hit data only when it differs from defaults: h<ChId>=Vel:Decay:Pitch:Ratchet:Flam:Prob:Cond
+                        const prob = (hit && hit.prob !== undefined) ? hit.prob : 100;
+                        if (hit && (hit.vel !== 127 || hit.decay || hit.pitch || hit.ratchet > 1 || hit.flam || prob < 100 || hit.cond)) {
+                            const cond = window.TrigConditions ? window.TrigConditions.encode(hit.cond) : '';
+                            extras[`h${ch.id}`] = `${hit.vel}:${hit.decay || 0}:${hit.pitch || 0}:${hit.ratchet || 1}:${hit.flam ? 1 : 0}:${prob}:${cond}`;
+                        }
+                        // Hit micro-timing: n<ChId>=Nudge (integer %)
+                        if (hit) extras[`n${ch.id}`] = Math.round((hit.nudge || 0) * 100);
+                        // Channel locks: l<ChId>=Param:Value;...
+                        if (hit) extras[`l${ch.id}`] = TimeMatrix.encodeLocks(hit.locks);
                     });
-                    drumRow += `,${binary}`;
+                    drumRow += `,${binary}${this.formatCellExtras(extras)}`;
                 }
             });
             csv += drumRow;
         }
 
+        // 4. GROOVE (User Templates first, so assignments can resolve on import)
+        const groove = window.grooveEngine;
+        if (groove) {
+            if (!csv.endsWith("\n")) csv += "\n";
+            Object.keys(groove.userTemplates).forEach(name => {
+                // Offsets stored as integer % of a step
+                csv += `groovetpl:${name},` + groove.userTemplates[name].map(v => Math.round(v * 100)).join(',') + "\n";
+            });
+
+            // Format: groove:Swing|BlockTpl;BlockTpl...|TrackId=Tpl;TrackId=Tpl...
+            const blockStr = this.blocks.map(b => b.groove || '').join(';');
+            const trackStr = Object.keys(groove.trackGrooves).map(k => `${k}=${groove.trackGrooves[k]}`).join(';');
+            csv += `groove:${window.AppState.swing}|${blockStr}|${trackStr}`;
+        }
+
         return csv;
     }
 
@@ -189,10 +734,46 @@ class TimeMatrix {
             const bpmInput = document.getElementById('bpm-input');
             if (bpmInput) bpmInput.value = bpm;
 
+            // Reset Groove (older CSVs carry no groove row)
+            if (window.grooveEngine) window.grooveEngine.reset();
+
+            // Reset Send FX (older CSVs carry no sends row; bass sends are reset with their config row)
+            if (window.audioEngine.sendFx) window.audioEngine.sendFx.reset();
+            if (window.drumSynth && window.SendFX) {
+                window.drumSynth.channels.forEach(ch => window.SendFX.BUSES.forEach(b => window.drumSynth.setChannelSend(ch.id, b, 0)));
+            }
+            // Reset Sidechain (older CSVs carry no duck row)
+            if (window.audioEngine.sidechain) window.audioEngine.sidechain.settings = window.Sidechain.defaultSettings();
+
+            // Reset Insert FX (bass inserts are reset with their config row)
+            if (window.drumSynth) window.drumSynth.channels.forEach(ch => window.drumSynth.setChannelInserts(ch.id, []));
+
+            // Reset Mixer (bass strips are reset with their config row)
+            window.audioEngine.resetMaster();
+            if (window.drumSynth) window.drumSynth.channels.forEach(ch => {
+                window.drumSynth.setChannelPan(ch.id, 0);
+                window.drumSynth.setChannelMute(ch.id, false);
+                window.drumSynth.setChannelSolo(ch.id, false);
+            });
+
             // Reset Matrix
             this.blocks = [];
-            const blocksNeeded = Math.ceil(totalStepsGlobal / this.totalSteps);
-            for (let i = 0; i < blocksNeeded; i++) this.addBlock();
+            this.song = [];
+            this.cues = {};
+            this.automation = {};
+            const layoutLine = lines.find(l => l.startsWith('layout:'));
+            if (layoutLine) {
+                layoutLine.substring(7).split(';').forEach((def, i) => {
+                    const lr = def.split('x');
+                    this.addBlock();
+                    this.setBlockLength(i, parseInt(lr[0]));
+                    this.setBlockResolution(i, lr[1]);
+                });
+            } else {
+                // Legacy CSV: fixed 16-step blocks
+                const blocksNeeded = Math.ceil(totalStepsGlobal / this.totalSteps);
+                for (let i = 0; i < blocksNeeded; i++) this.addBlock();
+            }
 
             for (let i = 1; i < lines.length; i++) {
                 const cells = lines[i].split(',');
@@ -236,23 +817,221 @@ class TimeMatrix {
 
                     // Parse Grid
                     for (let stepGlobal = 0; stepGlobal < totalStepsGlobal; stepGlobal++) {
-                        const binary = cells[stepGlobal + 1];
-                        if (!binary) continue;
+                        const cell = cells[stepGlobal + 1];
+                        if (!cell) continue;
+                        const cellParts = cell.split('|');
+                        const binary = cellParts[0];
+                        const extras = this.parseCellExtras(cellParts.slice(1));
 
-                        const blockIdx = Math.floor(stepGlobal / this.totalSteps);
-                        const stepIdx = stepGlobal % this.totalSteps;
+                        const { blockIdx, stepIdx } = this.locateGlobalStep(stepGlobal);
 
                         if (this.blocks[blockIdx]) {
                             const activeDrums = [];
                             for (let bit = 0; bit < binary.length; bit++) {
                                 if (binary[bit] === '1') {
-                                    activeDrums.push(bit);
+                                    const hit = TimeMatrix.makeDrumHit(bit);
+                                    if (extras[`h${bit}`]) {
+                                        const raw = extras[`h${bit}`].split(':');
+                                        const dyn = raw.map(v => parseInt(v));
+                                        if (!isNaN(dyn[0])) hit.vel = Math.max(1, Math.min(127, dyn[0]));
+                                        if (!isNaN(dyn[1])) hit.decay = dyn[1];
+                                        if (!isNaN(dyn[2])) hit.pitch = dyn[2];
+                                        if (!isNaN(dyn[3])) hit.ratchet = Math.max(1, Math.min(4, dyn[3]));
+                                        hit.flam = dyn[4] === 1;
+                                        if (!isNaN(dyn[5])) hit.prob = Math.max(0, Math.min(100, dyn[5]));
+                                        if (raw[6] && window.TrigConditions) hit.cond = window.TrigConditions.decode(raw[6]);
+                                    }
+                                    if (extras[`n${bit}`]) hit.nudge = TimeMatrix.clampNudge(parseInt(extras[`n${bit}`]) / 100);
+                                    const locks = TimeMatrix.decodeLocks(extras[`l${bit}`], window.DrumSynth.LOCKABLE);
+                                    if (locks) hit.locks = locks;
+                                    activeDrums.push(hit);
                                 }
                             }
                             this.blocks[blockIdx].drums[stepIdx] = activeDrums;
                         }
                     }
                 }
+                // --- LAYOUT (already applied when building blocks) ---
+                else if (configCell.startsWith('layout:')) {
+                    continue;
+                }
+                // --- SONG ARRANGEMENT ---
+                else if (configCell.startsWith('song:')) {
+                    configCell.substring(5).split(';').forEach(def => {
+                        const pr = def.split('x');
+                        if (pr.length === 2) this.addToSong(parseInt(pr[0]), parseInt(pr[1]));
+                    });
+                }
+                // --- CUE POINTS ---
+                else if (configCell.startsWith('cues:')) {
+                    configCell.substring(5).split(';').forEach(pair => {
+                        const kv = pair.split('=');
+                        if (kv.length !== 2) return;
+                        const ps = kv[1].split('.').map(v => parseInt(v));
+                        if (!isNaN(ps[0]) && !isNaN(ps[1])) this.setCue(parseInt(kv[0]), ps[0], ps[1]);
+                    });
+                }
+                // --- BLOCK TEMPO ---
+                else if (configCell.startsWith('tempo:')) {
+                    configCell.substring(6).split(';').forEach((def, bIdx) => {
+                        const se = def.split('>');
+                        if (def) this.setBlockTempo(bIdx, se[0], se[1]);
+                    });
+                }
+                // --- POLYMETRIC LANES ---
+                else if (configCell.startsWith('lanes:')) {
+                    configCell.substring(6).split('|').forEach((group, bIdx) => {
+                        group.split(';').forEach(pair => {
+                            const kv = pair.split('=');
+                            if (kv.length === 2) this.setLaneLength(bIdx, kv[0], kv[1]);
+                        });
+                    });
+                }
+                // --- AUTOMATION LANES ---
+                else if (configCell.startsWith('auto:')) {
+                    configCell.substring(5).split('|').forEach(group => {
+                        const m = /^(s|\d+)@([^=]+)=(.*)$/.exec(group);
+                        if (!m) return;
+                        const blockIdx = m[1] === 's' ? null : parseInt(m[1]);
+                        m[3].split(';').forEach(def => {
+                            const f = def.split('>');
+                            const pos = parseFloat(f[0]), value = parseFloat(f[1]);
+                            if (!isNaN(pos) && !isNaN(value)) this.setAutomationPoint(blockIdx, m[2], pos, value, f[2] === 'e' ? 'exp' : 'lin');
+                        });
+                    });
+                }
+                // --- MODULATION (after the bass rows, so synths exist) ---
+                else if (configCell.startsWith('mod:')) {
+                    configCell.substring(4).split('|').forEach(group => {
+                        const kv = group.split('=');
+                        const synth = kv.length === 2 ? window.audioEngine.getSynth(kv[0]) : null;
+                        if (!synth) return;
+                        const defs = kv[1].split(';');
+                        const nLfos = synth.params.lfos.length;
+                        defs.slice(0, nLfos).forEach((def, i) => {
+                            const f = def.split('.');
+                            if (window.LFO && window.LFO.SHAPES.includes(f[0])) synth.setLfo(i, 'shape', f[0]);
+                            if (!isNaN(parseInt(f[1]))) synth.setLfo(i, 'rate', Math.max(0, Math.min(100, parseInt(f[1]))));
+                            synth.setLfo(i, 'sync', f[2] === '1');
+                            if (window.LFO && window.LFO.DIVISIONS[f[3]]) synth.setLfo(i, 'division', f[3]);
+                            synth.setLfo(i, 'retrig', f[4] === '1');
+                        });
+                        defs.slice(nLfos).forEach((def, i) => {
+                            const r = def.split('>');
+                            if (r.length !== 3) return;
+                            synth.setModSlot(i, 'src', parseInt(r[0]) || 0);
+                            synth.setModSlot(i, 'dest', r[1]);
+                            synth.setModSlot(i, 'amount', parseInt(r[2]) || 0);
+                        });
+                    });
+                }
+                // --- SEND FX (after the bass rows, so synths exist) ---
+                else if (configCell.startsWith('sends:')) {
+                    const sendFx = window.audioEngine.sendFx;
+                    if (!sendFx) continue;
+                    const buses = window.SendFX.BUSES;
+                    const groups = configCell.substring(6).split('|');
+                    groups[0].split(';').forEach(def => {
+                        const kv = def.split('=');
+                        if (kv.length !== 2 || !sendFx.settings[kv[0]]) return;
+                        const keys = Object.keys(sendFx.settings[kv[0]]);
+                        kv[1].split('.').forEach((v, i) => { if (keys[i] && v !== '') sendFx.setParam(kv[0], keys[i], v); });
+                    });
+                    groups.slice(1).forEach(group => {
+                        const kv = group.split('=');
+                        if (kv.length !== 2) return;
+                        const levels = kv[1].split('.').map(v => parseInt(v) || 0);
+                        if (kv[0].startsWith('drum.')) {
+                            if (window.drumSynth) buses.forEach((b, i) => window.drumSynth.setChannelSend(parseInt(kv[0].substring(5)), b, levels[i] || 0));
+                        } else {
+                            const synth = window.audioEngine.getSynth(kv[0]);
+                            if (synth) buses.forEach((b, i) => synth.setSend(b, levels[i] || 0));
+                        }
+                    });
+                }
+                // --- INSERT FX (after the bass rows, so synths exist) ---
+                else if (configCell.startsWith('fx:')) {
+                    if (!window.InsertFX) continue;
+                    configCell.substring(3).split('|').forEach(group => {
+                        const kv = group.split('=');
+                        if (kv.length !== 2) return;
+                        let slots = [];
+                        kv[1].split(';').forEach(def => {
+                            const f = def.split('.');
+                            const keys = window.InsertFX.PARAMS[f[0]];
+                            if (!keys) return;
+                            slots = window.InsertFX.add(slots, f[0]);
+                            const slot = slots[slots.length - 1];
+                            slot.bypass = f[1] === '1';
+                            keys.forEach(([k], i) => {
+                                const v = parseInt(f[2 + i]);
+                                if (!isNaN(v)) slot.params[k] = Math.max(0, Math.min(100, v));
+                            });
+                        });
+                        if (kv[0].startsWith('drum.')) {
+                            if (window.drumSynth) window.drumSynth.setChannelInserts(parseInt(kv[0].substring(5)), slots);
+                        } else {
+                            const synth = window.audioEngine.getSynth(kv[0]);
+                            if (synth) synth.setInserts(slots);
+                        }
+                    });
+                }
+                // --- SIDECHAIN ---
+                else if (configCell.startsWith('duck:')) {
+                    const sidechain = window.audioEngine.sidechain;
+                    if (!sidechain) continue;
+                    const parts = configCell.substring(5).split('|');
+                    const f = parts[0].split('.');
+                    ['source', 'depth', 'attack', 'release', 'curve'].forEach((k, i) => { if (f[i] !== undefined && f[i] !== '') sidechain.setParam(k, f[i]); });
+                    sidechain.settings.targets = (parts[1] || '').split(';').filter(Boolean);
+                }
+                // --- MIXER (after the bass rows, so synths exist) ---
+                else if (configCell.startsWith('mix:')) {
+                    configCell.substring(4).split('|').forEach(group => {
+                        const kv = group.split('=');
+                        if (kv.length !== 2) return;
+                        const f = kv[1].split('.');
+                        if (kv[0] === 'master') {
+                            const st = window.audioEngine.masterSettings;
+                            if (st) Object.keys(st).forEach((k, i) => { if (f[i] !== undefined && f[i] !== '') window.audioEngine.setMasterParam(k, f[i]); });
+                        } else if (kv[0].startsWith('drum.')) {
+                            const id = parseInt(kv[0].substring(5));
+                            if (!window.drumSynth) return;
+                            window.drumSynth.setChannelPan(id, parseInt(f[0]) || 0);
+                            window.drumSynth.setChannelMute(id, f[1] === '1');
+                            window.drumSynth.setChannelSolo(id, f[2] === '1');
+                        } else {
+                            const synth = window.audioEngine.getSynth(kv[0]);
+                            if (!synth) return;
+                            synth.setPan(parseInt(f[0]) || 0);
+                            synth.setMute(f[1] === '1');
+                            synth.setSolo(f[2] === '1');
+                        }
+                    });
+                }
+                // --- GROOVE TEMPLATE PARSING ---
+                else if (configCell.startsWith('groovetpl:')) {
+                    const name = configCell.split(':')[1];
+                    const offsets = cells.slice(1).map(v => parseInt(v) / 100);
+                    if (window.grooveEngine) window.grooveEngine.setUserTemplate(name, offsets);
+                }
+                // --- GROOVE PARSING ---
+                else if (configCell.startsWith('groove:')) {
+                    const parts = configCell.substring(7).split('|');
+                    const swing = parseInt(parts[0]);
+                    if (!isNaN(swing)) window.AppState.swing = Math.max(50, Math.min(75, swing));
+
+                    (parts[1] || '').split(';').forEach((name, bIdx) => {
+                        if (this.blocks[bIdx]) this.blocks[bIdx].groove = name || null;
+                    });
+
+                    if (window.grooveEngine && parts[2]) {
+                        parts[2].split(';').forEach(pair => {
+                            const kv = pair.split('=');
+                            if (kv.length === 2) window.grooveEngine.setTrackGroove(kv[0], kv[1]);
+                        });
+                    }
+                }
                 // --- BASS PARSING ---
                 else if (configCell.includes(':')) {
                     const parts = configCell.split(':');
@@ -270,23 +1049,62 @@ class TimeMatrix {
                         synth.setEnvMod(pVals[6]); synth.setDecay(pVals[7]);
                         synth.setAccentInt(pVals[8]);
                         synth.setWaveform(pVals[9] === 1 ? 'square' : 'sawtooth');
+                        // Reese engine (older CSVs: classic single oscillator)
+                        const reese = pVals.length >= 14 ? pVals.slice(10, 14) : [1, 25, 50, 0];
+                        synth.setUnison(reese[0]); synth.setDetune(reese[1]);
+                        synth.setWidth(reese[2]); synth.setSub(reese[3]);
+                        // Filter model (older CSVs: 12 dB lowpass)
+                        const models = window.BassFilter ? window.BassFilter.MODELS : ['lp12'];
+                        synth.setFilterType(pVals.length >= 25 ? models[pVals[24]] : 'lp12');
+                        synth.clearModulation(); // Restored by the mod: row, if any
+                        if (window.SendFX) window.SendFX.BUSES.forEach(b => synth.setSend(b, 0)); // Restored by the sends: row
+                        synth.setInserts([]); // Restored by the fx: row
+                        synth.setPan(0); synth.setMute(false); synth.setSolo(false); // Restored by the mix: row
+                        // Envelopes (older CSVs: 303 preset)
+                        const keys = window.BassSynth.ENV_PARAMS;
+                        if (pVals.length >= 15 + keys.length) {
+                            synth.setEnvMode(pVals[14] === 1 ? 'adsr' : '303');
+                            keys.forEach((k, i) => synth.setEnvParam(k, pVals[15 + i]));
+                        } else {
+                            const defaults = new window.BassSynth().params;
+                            synth.setEnvMode('303');
+                            keys.forEach(k => synth.setEnvParam(k, defaults[k]));
+                        }
+                        // Oscillator engine (older CSVs: analog)
+                        const engineKeys = window.BassSynth.ENGINE_PARAMS;
+                        if (pVals.length >= 26 + engineKeys.length) {
+                            const engines = window.OscEngine ? window.OscEngine.ENGINES : ['analog'];
+                            synth.setEngine(engines[pVals[25]]);
+                            engineKeys.forEach((k, i) => synth.setEngineParam(k, pVals[26 + i]));
+                        } else {
+                            const defaults = new window.BassSynth().params;
+                            synth.setEngine('analog');
+                            engineKeys.forEach(k => synth.setEngineParam(k, defaults[k]));
+                        }
                     }
                     this.registerTrack(id);
 
                     for (let stepGlobal = 0; stepGlobal < totalStepsGlobal; stepGlobal++) {
                         const noteData = cells[stepGlobal + 1];
                         if (!noteData || noteData === '0') continue;
-                        const blockIdx = Math.floor(stepGlobal / this.totalSteps);
-                        const stepIdx = stepGlobal % this.totalSteps;
-                        const nParts = noteData.split('-');
+                        const { blockIdx, stepIdx } = this.locateGlobalStep(stepGlobal);
+                        const cellParts = noteData.split('|');
+                        const nParts = cellParts[0].split('-');
+                        const extras = this.parseCellExtras(cellParts.slice(1));
                         if (nParts.length === 4) {
                             const noteInt = parseInt(nParts[0]);
                             const noteChar = this.noteMapRev[noteInt];
                             if (this.blocks[blockIdx] && noteChar) {
                                 this.blocks[blockIdx].tracks[id][stepIdx] = {
                                     note: noteChar, octave: parseInt(nParts[1]),
-                                    slide: nParts[2] === '1', accent: nParts[3] === '1'
+                                    slide: nParts[2] === '1', accent: nParts[3] === '1',
+                                    nudge: extras.n ? TimeMatrix.clampNudge(parseInt(extras.n) / 100) : 0,
+                                    prob: extras.p ? Math.max(0, Math.min(100, parseInt(extras.p))) : 100,
+                                    cond: (extras.c && window.TrigConditions) ? window.TrigConditions.decode(extras.c) : '',
+                                    gate: extras.g ? TimeMatrix.clampGate(extras.g) : TimeMatrix.DEFAULT_GATE
                                 };
+                                const locks = TimeMatrix.decodeLocks(extras.l, window.BassSynth.LOCKABLE);
+                                if (locks) this.blocks[blockIdx].tracks[id][stepIdx].locks = locks;
                             }
                         }
                     }
@@ -309,16 +1127,28 @@ class TimeMatrix {
         const block = this.blocks[blockIndex];
         if (!block) return;
 
-        for (let i = 0; i < this.totalSteps; i++) {
+        const blockLen = this.getBlockLength(block);
+        const laneLen = activeView === 'drum' ? blockLen : this.getLaneLength(block, activeView);
+        let tieUntil = -1; // Last step still held by a tied note
+
+        for (let i = 0; i < blockLen; i++) {
             const el = document.createElement('div');
             el.className = 'step-box';
 
             if (i === this.selectedStep) el.classList.add('step-selected');
+            // Polymetric lane: mark its loop point and dim the steps it never reaches
+            if (laneLen < blockLen) {
+                if (i === laneLen - 1) el.classList.add('step-loop-end');
+                if (i >= laneLen) el.classList.add('step-lane-off');
+            }
 
-            if (activeView === 'drum') this.drawDrums(el, block.drums[i], i);
+            if (activeView === 'drum') this.drawDrums(el, block.drums[i], i, block);
             else {
                 if (!block.tracks[activeView]) this.registerTrack(activeView);
-                this.drawNote(el, block.tracks[activeView][i], i);
+                const note = block.tracks[activeView][i];
+                this.drawNote(el, note, i);
+                if (note) tieUntil = i + Math.ceil((note.gate || TimeMatrix.DEFAULT_GATE) / 100) - 1;
+                else if (i <= tieUntil) el.classList.add('step-tied');
             }
 
             el.onclick = () => {
@@ -332,32 +1162,67 @@ class TimeMatrix {
     drawNote(el, data, i) {
         if (data) {
             el.classList.add('has-bass');
+            if (TimeMatrix.hasLocks(data)) el.classList.add('step-locked');
             const noteStr = `${data.accent ? '^' : ''}${data.note}${data.slide ? '~' : ''}`;
-            el.innerHTML = `<div class="matrix-cell-content"><span class="matrix-note-text">${noteStr}</span><span class="matrix-oct-text">${data.octave}</span></div>`;
+            el.innerHTML = `<div class="matrix-cell-content"><span class="matrix-note-text">${noteStr}</span><span class="matrix-oct-text">${data.octave}</span></div>${this.nudgeMark(data.nudge)}${this.trigMark([data])}${this.gateMark(data.gate)}`;
         } else {
             el.classList.remove('has-bass');
             el.innerHTML = `<span class="matrix-step-num">${i + 1}</span>`;
         }
     }
 
-    drawDrums(el, drums, i) {
+    // Small corner badge showing micro-timing in % of a step
+    nudgeMark(nudge) {
+        if (!nudge) return '';
+        const pct = Math.round(nudge * 100);
+        return `<span class="matrix-nudge-mark">${pct > 0 ? '+' : ''}${pct}</span>`;
+    }
+
+    // Corner badge for non-default gate lengths: % of a step, or xN steps for ties
+    gateMark(gate) {
+        if (!gate || gate === TimeMatrix.DEFAULT_GATE) return '';
+        const txt = gate > 100 ? `x${Math.round(gate / 10) / 10}` : `${gate}%`;
+        return `<span class="matrix-gate-mark">${txt}</span>`;
+    }
+
+    // Corner badge for conditional / probabilistic trigs
+    trigMark(trigs) {
+        const t = trigs.find(x => x && (x.cond || (x.prob !== undefined && x.prob < 100)));
+        if (!t) return '';
+        const txt = t.cond ? t.cond.replace('not', '!').toUpperCase() : `${t.prob}%`;
+        return `<span class="matrix-trig-mark">${txt}</span>`;
+    }
+
+    drawDrums(el, drums, i, block = null) {
         el.classList.remove('has-bass');
+        if (drums && drums.some(h => TimeMatrix.hasLocks(h))) el.classList.add('step-locked');
         if (drums && drums.length) {
             let html = '<div class="matrix-drum-container">';
             const channels = window.drumSynth ? window.drumSynth.channels : [];
             const colors = window.drumSynth ? window.drumSynth.channelColors : [];
 
-            drums.forEach(chId => {
-                const ch = channels[chId];
+            drums.forEach(hit => {
+                const ch = channels[hit.id];
                 // Only draw if channel is active (variant > 0)
                 if (ch && ch.variant > 0) {
                     // RENDER: Use explicit colorId to match UI swaps
                     const colIndex = (ch.colorId !== undefined) ? ch.colorId : ch.id;
                     const c = colors[colIndex % colors.length] || '#fff';
-                    html += `<div class="matrix-drum-dot" style="background-color:${c}; box-shadow: 0 0 4px ${c};"></div>`;
+                    // Dot opacity follows velocity (ghost notes appear dimmer)
+                    const alpha = (0.35 + 0.65 * (hit.vel / 127)).toFixed(2);
+                    // Ratchets draw as stacked dots, flams get a ring
+                    // Hits past their channel's lane length never play
+                    const laneOff = block && i >= this.getLaneLength(block, `drum-${hit.id}`);
+                    const dotCls = `matrix-drum-dot${hit.flam ? ' dot-flam' : ''}${laneOff ? ' dot-lane-off' : ''}`;
+                    const count = Math.max(1, hit.ratchet || 1);
+                    for (let r = 0; r < count; r++) {
+                        html += `<div class="${dotCls}" style="background-color:${c}; box-shadow: 0 0 4px ${c}; opacity:${alpha};"></div>`;
+                    }
                 }
             });
-            el.innerHTML = html + '</div>';
+            // Mark the step when any hit is off the grid
+            const nudged = drums.find(h => h.nudge);
+            el.innerHTML = html + '</div>' + this.nudgeMark(nudged ? nudged.nudge : 0) + this.trigMark(drums);
         } else {
             el.innerHTML = `<span class="matrix-step-num">${i + 1}</span>`;
         }
@@ -373,4 +1238,5 @@ class TimeMatrix {
     }
 }
 
+window.TimeMatrix = TimeMatrix;
 window.timeMatrix = new TimeMatrix();
\ No newline at end of file
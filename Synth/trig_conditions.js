@@ -0,0 +1,97 @@
+/*
+ * TRIG CONDITIONS MODULE (v1.0)
+ * Elektron-style conditional trigs and step probability.
+ * One instance per playback session: live transport or offline render (seeded).
+ */
+
+class TrigConditions {
+    constructor(seed = null) {
+        this.loopCounts = new Map();   // Block object -> times playback has entered it
+        this.lastResult = {};          // Track key -> did the previous conditional trig fire?
+        this.setSeed(seed);
+    }
+
+    // Conditions offered in the step editor ('' = always)
+    static get CONDITIONS() {
+        return ['', 'first', 'notfirst', 'fill', 'nofill', 'pre', 'notpre',
+            '1:2', '2:2', '1:3', '2:3', '3:3', '1:4', '2:4', '3:4', '4:4'];
+    }
+
+    static label(cond) {
+        const map = { '': 'ALWAYS', first: '1ST', notfirst: 'NOT 1ST', fill: 'FILL', nofill: 'NOT FILL', pre: 'PRE', notpre: 'NOT PRE' };
+        return map[cond] !== undefined ? map[cond] : cond;
+    }
+
+    // CSV cells use ':' and '-' as separators, so A:B is stored as A/B
+    static encode(cond) { return cond ? cond.replace(':', '/') : ''; }
+    static decode(str) {
+        const cond = str ? str.replace('/', ':') : '';
+        return TrigConditions.CONDITIONS.includes(cond) ? cond : '';
+    }
+
+    /** null = Math.random (live), number = reproducible sequence (offline render) */
+    setSeed(seed) {
+        this.seed = seed;
+        if (seed === null || seed === undefined || isNaN(seed)) {
+            this.random = Math.random;
+            return;
+        }
+        // Mulberry32 PRNG
+        let a = seed >>> 0;
+        this.random = () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    reset() {
+        this.loopCounts = new Map();
+        this.lastResult = {};
+    }
+
+    // Called when playback enters a block: start, wrap, jump or render segment start
+    beginCycle(block) {
+        this.loopCounts.set(block, (this.loopCounts.get(block) || 0) + 1);
+    }
+
+    /**
+     * @param {object} trig - Note or drum hit ({ prob: 0-100, cond: string })
+     * @param {string} trackKey - Synth ID or 'drum-<channel>'
+     * @param {object} block - Block being played
+     * @returns {boolean} Whether the trig plays
+     */
+    shouldFire(trig, trackKey, block) {
+        const cond = trig.cond || '';
+        const prob = (trig.prob === undefined || trig.prob === null) ? 100 : trig.prob;
+        if (!cond && prob >= 100) return true;
+
+        const count = Math.max(1, this.loopCounts.get(block) || 1);
+        let pass = true;
+
+        switch (cond) {
+            case 'first': pass = count === 1; break;
+            case 'notfirst': pass = count > 1; break;
+            case 'fill': pass = !!window.AppState.fillMode; break;
+            case 'nofill': pass = !window.AppState.fillMode; break;
+            case 'pre': pass = this.lastResult[trackKey] === true; break;
+            case 'notpre': pass = this.lastResult[trackKey] === false; break;
+            case '': break;
+            default: {
+                // A:B -> fire on the A-th pass of every B loops
+                const ab = cond.split(':').map(v => parseInt(v));
+                if (ab.length === 2 && ab[1] > 0) pass = ((count - 1) % ab[1]) === (ab[0] - 1);
+            }
+        }
+
+        // Probability is rolled only once the condition passes
+        if (pass && prob < 100) pass = (this.random() * 100) < prob;
+
+        this.lastResult[trackKey] = pass;
+        return pass;
+    }
+}
+
+window.TrigConditions = TrigConditions;
@@ -15,6 +15,32 @@ class UIController {
         // State for Color Swapping
         this.pendingColorSwap = null; // Stores channel ID of first click
         this.isDrumConfigCollapsed = true; // Start collapsed
+
+        // Parameter lock mode: synth edits go to the selected note instead of the synth
+        this.lockMode = false;
+
+        // Automation lane editor
+        this.autoTarget = 'bass-1.cutoff';
+        this.autoScope = 'block'; // 'block' | 'song'
+        this.autoCurve = 'lin';   // Curve of new points
+
+        // Drum channel shown in the insert chain editor
+        this.insertChannel = 0;
+
+        // Mixer meters on screen [{ analyser, el, buf }]
+        this.meters = [];
+    }
+
+    // Envelope sliders/digital modules: [element id prefix, BassSynth param]
+    static get ENV_CONTROLS() {
+        return [['amp-att', 'ampAttack'], ['amp-dec', 'ampDecay'], ['amp-sus', 'ampSustain'], ['amp-rel', 'ampRelease'],
+            ['flt-att', 'fltAttack'], ['flt-dec', 'fltDecay'], ['flt-sus', 'fltSustain'], ['flt-rel', 'fltRelease'], ['vel', 'velSens']];
+    }
+
+    // FM / wavetable sliders/digital modules: [element id prefix, BassSynth param]
+    static get ENGINE_CONTROLS() {
+        return [['ratio', 'fmRatio'], ['index', 'fmIndex'], ['ienv', 'fmEnv'], ['idec', 'fmDecay'],
+            ['wpos', 'wtPos'], ['wenv', 'wtEnv'], ['wdec', 'wtDecay']];
     }
 
     init() {
@@ -33,6 +59,7 @@ class UIController {
 
         // Render initial config menu state
         this.renderDrumConfigMenu();
+        this.renderGrooveMenu();
 
         // Start Visual Loop
         this.renderLoop();
@@ -129,6 +156,9 @@ class UIController {
         this.safeClick('btn-open-menu', () => {
             this.renderSynthMenu();
             this.renderDrumConfigMenu(); // Refresh config on open
+            this.renderGrooveMenu();
+            this.renderSendMenu();
+            this.renderMixer();
             this.toggleMenu();
         });
         this.safeClick('btn-menu-close', () => this.toggleMenu());
@@ -158,6 +188,27 @@ class UIController {
             }
         }
 
+        // Groove Controls
+        const swingSlider = document.getElementById('swing-slider');
+        if (swingSlider) {
+            swingSlider.oninput = (e) => {
+                window.AppState.swing = parseInt(e.target.value);
+                document.getElementById('swing-display').innerText = window.AppState.swing;
+            };
+            swingSlider.onchange = (e) => {
+                if (window.logToScreen) window.logToScreen(`Swing set to: ${e.target.value}%`);
+            };
+        }
+
+        this.safeClick('btn-add-groove-tpl', () => {
+            if (!window.grooveEngine) return;
+            // First free USERn name (deleted templates leave gaps)
+            let n = 1;
+            while (window.grooveEngine.userTemplates[`USER${n}`]) n++;
+            window.grooveEngine.setUserTemplate(`USER${n}`, window.GrooveEngine.swingTable(window.AppState.swing));
+            this.renderGrooveMenu();
+        });
+
         // Modals
 
         // CSV Actions
@@ -211,7 +262,7 @@ class UIController {
         this.safeClick('btn-export-midi', () => {
             if (window.timeMatrix && window.MidiIO) {
                 const bpm = window.AppState.bpm;
-                const midiData = window.MidiIO.exportMidi(window.timeMatrix.blocks, bpm);
+                const midiData = window.MidiIO.exportMidi(window.timeMatrix.getSongBlocks(), bpm, window.grooveEngine);
                 if (midiData) {
                     const blob = new Blob([midiData], { type: 'audio/midi' });
                     const url = URL.createObjectURL(blob);
@@ -237,29 +288,22 @@ class UIController {
                         const data = window.MidiIO.parseMidi(buffer);
                         // Apply Data
                         if (data) {
-                            // Clear current block or what?
-                            // Let's reset matrix based on length found
-                            // For simplicity, we just fill current blocks or add if needed.
-                            // We need to iterate the imported data step by step.
-
-                            // Find max step
-                            let maxStep = 0;
-                            Object.keys(data.bass).forEach(k => maxStep = Math.max(maxStep, parseInt(k)));
-                            Object.keys(data.drums).forEach(k => maxStep = Math.max(maxStep, parseInt(k)));
-
-                            // Adjust blocks
-                            const totalSteps = maxStep + 1;
-                            const blocksNeeded = Math.ceil(totalSteps / 16);
-                            window.timeMatrix.blocks = [];
-                            for (let i = 0; i < blocksNeeded; i++) window.timeMatrix.addBlock();
+                            // One block per imported bar, with the length and resolution of its time signature
+                            const tm = window.timeMatrix;
+                            tm.blocks = [];
+                            tm.song = [];
+                            data.blocks.forEach((lay, i) => {
+                                tm.addBlock();
+                                tm.setBlockLength(i, lay.length);
+                                tm.setBlockResolution(i, lay.resolution);
+                            });
 
                             // Fill Data
                             // Bass
                             Object.keys(data.bass).forEach(stepStr => {
                                 const step = parseInt(stepStr);
                                 const noteData = data.bass[stepStr];
-                                const blockIdx = Math.floor(step / 16);
-                                const stepIdx = step % 16;
+                                const { blockIdx, stepIdx } = tm.locateGlobalStep(step);
                                 if (window.timeMatrix.blocks[blockIdx]) {
                                     // Map MIDI Note to Note+Octave
                                     const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -275,11 +319,17 @@ class UIController {
                                     // Ensure track exists
                                     if (!window.timeMatrix.blocks[blockIdx].tracks[targetId]) window.timeMatrix.registerTrack(targetId);
 
-                                    window.timeMatrix.blocks[blockIdx].tracks[targetId][stepIdx] = {
+                                    // Remove the groove shift that export baked into the timing
+                                    const blk = window.timeMatrix.blocks[blockIdx];
+                                    const grooveOff = window.grooveEngine ? window.grooveEngine.getOffset(stepIdx, blk, targetId) : 0;
+
+                                    blk.tracks[targetId][stepIdx] = {
                                         note: noteName,
                                         octave: oct,
                                         slide: false,
-                                        accent: noteData.vel > 100
+                                        accent: noteData.vel > 100,
+                                        nudge: window.TimeMatrix.clampNudge((noteData.nudge || 0) - grooveOff),
+                                        gate: window.TimeMatrix.clampGate(noteData.gate)
                                     };
                                 }
                             });
@@ -288,13 +338,26 @@ class UIController {
                             Object.keys(data.drums).forEach(stepStr => {
                                 const step = parseInt(stepStr);
                                 const hits = data.drums[stepStr];
-                                const blockIdx = Math.floor(step / 16);
-                                const stepIdx = step % 16;
-                                if (window.timeMatrix.blocks[blockIdx]) {
-                                    window.timeMatrix.blocks[blockIdx].drums[stepIdx] = hits; // [1, 2, ...]
+                                const { blockIdx, stepIdx } = tm.locateGlobalStep(step);
+                                const blk = window.timeMatrix.blocks[blockIdx];
+                                if (blk) {
+                                    const grooveOff = window.grooveEngine ? window.grooveEngine.getOffset(stepIdx, blk, 'drum') : 0;
+                                    blk.drums[stepIdx] = hits.map(h => { // [{ id, vel, nudge }, ...]
+                                        const hit = window.TimeMatrix.makeDrumHit(h.id, h.vel);
+                                        hit.nudge = window.TimeMatrix.clampNudge((h.nudge || 0) - grooveOff);
+                                        return hit;
+                                    });
                                 }
                             });
 
+                            // Tempo map: first tempo becomes the global BPM, changes become block tempos/ramps
+                            if (data.tempos && data.tempos.length) {
+                                window.AppState.bpm = Math.round(data.tempos[0].bpm);
+                                const bpmIn = document.getElementById('bpm-input');
+                                if (bpmIn) bpmIn.value = window.AppState.bpm;
+                                window.timeMatrix.applyTempoMap(data.tempos, window.AppState.bpm);
+                            }
+
                             this.fullRefresh();
                             if (window.logToScreen) window.logToScreen("MIDI Imported Successfully");
                         }
@@ -317,6 +380,7 @@ class UIController {
         });
 
         // Track Controls
+        this.safeClick('btn-fill', () => this.toggleFillMode());
         this.safeClick('btn-add-block', () => { window.timeMatrix.addBlock(); this.goToBlock(window.timeMatrix.blocks.length - 1); });
         this.safeClick('btn-del-block', () => { if (confirm("Delete Block?")) { window.timeMatrix.removeBlock(window.AppState.editingBlock); this.fullRefresh(); } });
         this.safeClick('btn-mem-copy', () => window.timeMatrix.copyToClipboard(window.AppState.editingBlock));
@@ -324,12 +388,73 @@ class UIController {
         this.safeClick('btn-move-left', () => { if (window.timeMatrix.moveBlock(window.AppState.editingBlock, -1)) this.goToBlock(window.AppState.editingBlock - 1); });
         this.safeClick('btn-move-right', () => { if (window.timeMatrix.moveBlock(window.AppState.editingBlock, 1)) this.goToBlock(window.AppState.editingBlock + 1); });
 
+        // Song Arrangement
+        this.safeClick('btn-play-mode', () => this.togglePlayMode());
+        this.safeClick('btn-song-add', () => {
+            const tm = window.timeMatrix;
+            if (tm.addToSong(window.AppState.editingBlock)) { window.AppState.selectedSongEntry = tm.song.length - 1; this.renderTrackBar(); }
+        });
+        this.safeClick('btn-song-del', () => {
+            if (window.timeMatrix.removeFromSong(window.AppState.selectedSongEntry)) {
+                window.AppState.selectedSongEntry = Math.max(0, window.AppState.selectedSongEntry - 1);
+                this.renderTrackBar();
+            }
+        });
+        this.safeClick('btn-song-left', () => { if (window.timeMatrix.moveSongEntry(window.AppState.selectedSongEntry, -1)) { window.AppState.selectedSongEntry--; this.renderTrackBar(); } });
+        this.safeClick('btn-song-right', () => { if (window.timeMatrix.moveSongEntry(window.AppState.selectedSongEntry, 1)) { window.AppState.selectedSongEntry++; this.renderTrackBar(); } });
+        const repInput = document.getElementById('song-repeat-input');
+        if (repInput) repInput.onchange = (e) => { if (window.timeMatrix.setSongRepeats(window.AppState.selectedSongEntry, e.target.value)) this.renderTrackBar(); };
+
+        // Loop Region & Cues
+        this.safeClick('btn-loop-in', () => this.setLoopPoint('start'));
+        this.safeClick('btn-loop-out', () => this.setLoopPoint('end'));
+        this.safeClick('btn-loop-toggle', () => {
+            window.AppState.loop.enabled = !window.AppState.loop.enabled;
+            this.renderLoopCue();
+        });
+        this.safeClick('btn-cue-set', () => { this.cueArmed = !this.cueArmed; this.renderLoopCue(); });
+        document.querySelectorAll('.btn-cue').forEach(btn => {
+            btn.onclick = () => this.pressCue(parseInt(btn.dataset.cue));
+        });
+
+        // Block Length & Resolution
+        const lenInput = document.getElementById('block-length-input');
+        if (lenInput) lenInput.onchange = (e) => {
+            if (window.timeMatrix.setBlockLength(window.AppState.editingBlock, e.target.value)) {
+                const len = window.timeMatrix.getBlockLength(window.timeMatrix.blocks[window.AppState.editingBlock]);
+                window.AppState.selectedStep = Math.min(window.AppState.selectedStep, len - 1);
+                this.updateEditors(); this.renderTrackBar();
+            }
+        };
+        const resSelect = document.getElementById('block-res-select');
+        if (resSelect) {
+            resSelect.innerHTML = '';
+            Object.keys(window.timeMatrix.resolutions).forEach(r => {
+                const o = document.createElement('option');
+                o.value = r; o.innerText = `1/${r}`;
+                resSelect.appendChild(o);
+            });
+            resSelect.onchange = (e) => { window.timeMatrix.setBlockResolution(window.AppState.editingBlock, e.target.value); this.renderTrackBar(); };
+        }
+
+        // Block Tempo (empty = global BPM, end = ramp target)
+        const tempoIn = document.getElementById('block-bpm-input');
+        const tempoEnd = document.getElementById('block-bpm-end-input');
+        const applyTempo = () => {
+            window.timeMatrix.setBlockTempo(window.AppState.editingBlock, tempoIn.value, tempoEnd ? tempoEnd.value : '');
+            this.renderTrackBar();
+        };
+        if (tempoIn) tempoIn.onchange = applyTempo;
+        if (tempoEnd) tempoEnd.onchange = applyTempo;
+
         const bpm = document.getElementById('bpm-input');
         if (bpm) bpm.onchange = (e) => window.AppState.bpm = e.target.value;
 
+        const seedInput = document.getElementById('render-seed-input');
+        if (seedInput) seedInput.onchange = (e) => window.AppState.renderSeed = Math.max(0, parseInt(e.target.value) || 0);
+
         // Export Reps
-        // Export Reps
-        const exportBtns = document.querySelectorAll('#panel-export .btn-option');
+        const exportBtns = document.querySelectorAll('#panel-export .btn-option[data-rep]');
         exportBtns.forEach(btn => {
             btn.onclick = () => {
                 exportBtns.forEach(b => b.classList.remove('active'));
@@ -338,6 +463,16 @@ class UIController {
             };
         });
 
+        // Export Range
+        const rangeBtns = document.querySelectorAll('#panel-export .btn-option[data-range]');
+        rangeBtns.forEach(btn => {
+            btn.onclick = () => {
+                rangeBtns.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                window.AppState.exportRange = btn.dataset.range;
+            };
+        });
+
         // Logs
         const logPanel = document.getElementById('sys-log-panel');
         this.safeClick('btn-toggle-log-internal', () => {
@@ -364,9 +499,40 @@ class UIController {
         ['vol', 'dist', 'cutoff', 'res', 'env', 'dec', 'acc', 'tone', 'dgain'].forEach(p => {
             bindSlider(`${p}-slider`, p === 'vol' ? 'volume' : p === 'dist' ? 'distortion' : p === 'res' ? 'resonance' : p === 'env' ? 'envMod' : p === 'dec' ? 'decay' : p === 'acc' ? 'accentInt' : p === 'tone' ? 'distTone' : p === 'dgain' ? 'distGain' : p);
         });
+        // Reese Engine
+        bindSlider('uni-slider', 'unison'); bindSlider('det-slider', 'detune');
+        bindSlider('wide-slider', 'width'); bindSlider('sub-slider', 'sub');
+        // Envelopes
+        UIController.ENV_CONTROLS.forEach(([id, param]) => bindSlider(`${id}-slider`, param));
+        // Oscillator Engines
+        UIController.ENGINE_CONTROLS.forEach(([id, param]) => bindSlider(`${id}-slider`, param));
 
         this.setupDigitalRepeaters();
-        this.safeClick('btn-waveform', () => this.toggleWaveform());
+        this.safeClick('btn-env-mode', () => this.toggleEnvMode());
+
+        const eSel = document.getElementById('engine-select');
+        if (eSel && window.OscEngine) {
+            eSel.innerHTML = window.OscEngine.ENGINES.map(e => `<option value="${e}">${window.OscEngine.label(e)}</option>`).join('');
+            eSel.onchange = (e) => {
+                const s = window.audioEngine.getSynth(window.AppState.activeView);
+                if (!s) return;
+                if (this.getLockNote()) this.setNoteLock('engine', e.target.value);
+                else { s.setEngine(e.target.value); this.syncControls(s.id); }
+            };
+        }
+        const wSel = document.getElementById('waveform-select');
+        if (wSel) wSel.onchange = (e) => this.setWaveformChoice(e.target.value);
+
+        const fSel = document.getElementById('filter-type-select');
+        if (fSel && window.BassFilter) {
+            fSel.innerHTML = window.BassFilter.MODELS.map(m => `<option value="${m}">${window.BassFilter.label(m)}</option>`).join('');
+            fSel.onchange = (e) => {
+                const s = window.audioEngine.getSynth(window.AppState.activeView);
+                if (!s) return;
+                if (this.getLockNote()) this.setNoteLock('filterType', e.target.value);
+                else { s.setFilterType(e.target.value); this.syncControls(s.id); }
+            };
+        }
     }
 
     bindEditorControls() {
@@ -379,8 +545,39 @@ class UIController {
         this.safeClick('oct-up', () => { if (window.AppState.currentOctave < 6) { window.AppState.currentOctave++; octD.innerText = window.AppState.currentOctave; } });
         this.safeClick('oct-down', () => { if (window.AppState.currentOctave > 1) { window.AppState.currentOctave--; octD.innerText = window.AppState.currentOctave; } });
 
+        this.safeClick('nudge-up', () => this.changeNudge(0.05));
+        this.safeClick('nudge-down', () => this.changeNudge(-0.05));
+
+        // Trig Condition & Probability (bass step)
+        const condSel = document.getElementById('trig-cond');
+        if (condSel && window.TrigConditions) {
+            condSel.innerHTML = window.TrigConditions.CONDITIONS.map(c => `<option value="${c}">${window.TrigConditions.label(c)}</option>`).join('');
+            condSel.onchange = (e) => this.setNoteTrig('cond', e.target.value);
+        }
+        const probIn = document.getElementById('trig-prob');
+        if (probIn) probIn.onchange = (e) => this.setNoteTrig('prob', Math.max(0, Math.min(100, parseInt(e.target.value) || 0)));
+        const gateIn = document.getElementById('trig-gate');
+        if (gateIn) gateIn.onchange = (e) => this.setNoteTrig('gate', window.TimeMatrix.clampGate(e.target.value));
+
+        // Polymetric lane length (active bass track in this block)
+        const laneIn = document.getElementById('lane-length');
+        if (laneIn) laneIn.onchange = (e) => {
+            if (window.AppState.activeView === 'drum') return;
+            window.timeMatrix.setLaneLength(window.AppState.editingBlock, window.AppState.activeView, e.target.value);
+            this.updateEditors();
+        };
+
         this.safeClick('btn-toggle-slide', () => this.toggleNoteMod('slide'));
         this.safeClick('btn-toggle-accent', () => this.toggleNoteMod('accent'));
+        this.safeClick('btn-toggle-plock', () => {
+            this.lockMode = !this.lockMode;
+            this.updateEditors();
+            this.syncControls(window.AppState.activeView);
+        });
+        this.safeClick('btn-clear-locks', () => {
+            const note = this.getSelectedNote();
+            if (note && note.locks) { delete note.locks; this.pruneLocks(); this.updateEditors(); this.syncControls(window.AppState.activeView); }
+        });
         this.safeClick('btn-delete-note', () => {
             if (window.AppState.activeView !== 'drum') {
                 const b = window.timeMatrix.blocks[window.AppState.editingBlock];
@@ -393,6 +590,22 @@ class UIController {
             k.onclick = () => this.placeNote(k.dataset.note);
         });
 
+        // Automation lane editor
+        const autoSel = document.getElementById('auto-target');
+        if (autoSel) autoSel.onchange = (e) => { this.autoTarget = e.target.value; this.renderAutomationLane(); };
+        this.safeClick('btn-auto-scope', () => { this.autoScope = this.autoScope === 'block' ? 'song' : 'block'; this.renderAutomationLane(); });
+        this.safeClick('btn-auto-curve', () => { this.autoCurve = this.autoCurve === 'lin' ? 'exp' : 'lin'; this.renderAutomationLane(); });
+        this.safeClick('btn-auto-del', () => {
+            const lane = this.getAutomationView();
+            if (!lane) return;
+            window.timeMatrix.removeAutomationPoint(lane.blockIdx, this.autoTarget, lane.offset + window.AppState.selectedStep);
+            this.renderAutomationLane();
+        });
+        this.safeClick('btn-auto-clear', () => {
+            const lane = this.getAutomationView();
+            if (lane) { window.timeMatrix.clearAutomation(lane.blockIdx, this.autoTarget); this.renderAutomationLane(); }
+        });
+
         window.addEventListener('stepSelect', (e) => {
             window.AppState.selectedStep = e.detail.index;
             this.updateEditors();
@@ -418,6 +631,11 @@ class UIController {
             finalValue = ((Math.max(100, Math.min(5000, value)) - 100) / 4900) * 100;
         }
 
+        if (this.getLockNote() && window.BassSynth.LOCKABLE.includes(param)) {
+            this.setNoteLock(param, finalValue);
+            return;
+        }
+
         if (param === 'volume') synth.setVolume(finalValue);
         else if (param === 'distortion') synth.setDistortion(finalValue);
         else if (param === 'cutoff') synth.setCutoff(finalValue);
@@ -427,6 +645,12 @@ class UIController {
         else if (param === 'accentInt') synth.setAccentInt(finalValue);
         else if (param === 'distTone') synth.setDistTone(finalValue);
         else if (param === 'distGain') synth.setDistGain(finalValue);
+        else if (param === 'unison') synth.setUnison(finalValue);
+        else if (param === 'detune') synth.setDetune(finalValue);
+        else if (param === 'width') synth.setWidth(finalValue);
+        else if (param === 'sub') synth.setSub(finalValue);
+        else if (UIController.ENV_CONTROLS.some(c => c[1] === param)) synth.setEnvParam(param, finalValue);
+        else if (UIController.ENGINE_CONTROLS.some(c => c[1] === param)) synth.setEngineParam(param, finalValue);
 
         this.syncControls(window.AppState.activeView);
     }
@@ -440,22 +664,276 @@ class UIController {
         if (!block.tracks[sId]) window.timeMatrix.registerTrack(sId);
 
         const prev = block.tracks[sId][window.AppState.selectedStep];
-        block.tracks[sId][window.AppState.selectedStep] = {
-            note: note, octave: window.AppState.currentOctave,
-            slide: prev ? prev.slide : false, accent: prev ? prev.accent : false
-        };
+        // Keep step attributes (slide, accent, nudge, trig condition...) when replacing the pitch
+        block.tracks[sId][window.AppState.selectedStep] = prev
+            ? { ...prev, note: note, octave: window.AppState.currentOctave }
+            : { note: note, octave: window.AppState.currentOctave, slide: false, accent: false };
         this.updateEditors();
     }
 
     toggleNoteMod(prop) {
+        const note = this.getSelectedNote();
+        if (note) { note[prop] = !note[prop]; this.updateEditors(); }
+    }
+
+    getSelectedNote() {
+        if (window.AppState.activeView === 'drum') return null;
+        const track = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView];
+        return track ? track[window.AppState.selectedStep] : null;
+    }
+
+    // Note receiving parameter locks (lock mode on and a note on the selected step)
+    getLockNote() {
+        return this.lockMode ? this.getSelectedNote() : null;
+    }
+
+    setNoteLock(param, value) {
+        const note = this.getLockNote();
+        if (!note) return;
+        note.locks = { ...(note.locks || {}), [param]: value };
+        if (param === 'distortion') this.pruneLocks();
+        this.updateEditors();
+        this.syncControls(window.AppState.activeView);
+    }
+
+    // Lock shapers of the edited synth follow the drive values its steps still lock
+    pruneLocks() {
+        const s = window.audioEngine ? window.audioEngine.getSynth(window.AppState.activeView) : null;
+        if (s) s.pruneLocks();
+    }
+
+    // Micro-timing for the selected bass note, in fractions of a step (drum hits carry their own, see renderDrumRows)
+    changeNudge(delta) {
+        if (window.AppState.activeView === 'drum') return;
+        const block = window.timeMatrix.blocks[window.AppState.editingBlock];
+        const note = block.tracks[window.AppState.activeView][window.AppState.selectedStep];
+        if (!note) return;
+        note.nudge = window.TimeMatrix.clampNudge(Math.round(((note.nudge || 0) + delta) * 100) / 100);
+        this.updateEditors();
+    }
+
+    setNoteTrig(prop, value) {
         if (window.AppState.activeView === 'drum') return;
         const note = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView][window.AppState.selectedStep];
-        if (note) { note[prop] = !note[prop]; this.updateEditors(); }
+        if (note) { note[prop] = value; this.updateEditors(); }
+    }
+
+    // Song order position of the step being edited (-1 if its block isn't arranged)
+    getEditPosition() {
+        const tm = window.timeMatrix;
+        const entry = tm.song[window.AppState.selectedSongEntry];
+        if (entry && entry.pattern === window.AppState.editingBlock) {
+            return tm.song.slice(0, window.AppState.selectedSongEntry).reduce((acc, e) => acc + e.repeats, 0);
+        }
+        return tm.findOrderPosition(window.AppState.editingBlock);
+    }
+
+    setLoopPoint(which) {
+        const pos = this.getEditPosition();
+        if (pos < 0) { if (window.logToScreen) window.logToScreen("Block is not in the song"); return; }
+        window.AppState.loop[`${which}Pos`] = pos;
+        window.AppState.loop[`${which}Step`] = window.AppState.selectedStep;
+        this.renderLoopCue();
+    }
+
+    pressCue(num) {
+        const tm = window.timeMatrix;
+        if (this.cueArmed) {
+            const pos = this.getEditPosition();
+            if (pos < 0) { if (window.logToScreen) window.logToScreen("Block is not in the song"); return; }
+            tm.setCue(num, pos, window.AppState.selectedStep);
+            this.cueArmed = false;
+        } else if (window.AppState.isPlaying && window.AppState.playMode === 'song') {
+            window.audioEngine.triggerCue(num);
+        } else if (tm.cues[num]) {
+            // Stopped: jump the editor to the cue
+            const order = tm.getSongOrder();
+            const block = order[Math.min(tm.cues[num].pos, order.length - 1)];
+            window.AppState.selectedStep = Math.min(tm.cues[num].step, tm.getBlockLength(tm.blocks[block]) - 1);
+            this.goToBlock(block);
+        }
+        this.renderLoopCue();
+    }
+
+    renderLoopCue() {
+        const loop = window.AppState.loop;
+        const r = window.timeMatrix.normalizeLoop(loop);
+        const disp = document.getElementById('loop-display');
+        if (disp) {
+            disp.innerText = `${r.startPos + 1}.${r.startStep + 1} > ${r.endPos + 1}.${r.endStep + 1}`;
+            disp.classList.toggle('active', loop.enabled);
+        }
+        const loopBtn = document.getElementById('btn-loop-toggle');
+        if (loopBtn) loopBtn.classList.toggle('text-green', loop.enabled);
+        const setBtn = document.getElementById('btn-cue-set');
+        if (setBtn) setBtn.classList.toggle('active', !!this.cueArmed);
+        document.querySelectorAll('.btn-cue').forEach(btn => {
+            const num = parseInt(btn.dataset.cue);
+            btn.classList.toggle('stored', !!window.timeMatrix.cues[num]);
+            btn.classList.toggle('pending', window.AppState.pendingCue === num);
+        });
     }
 
-    toggleWaveform() {
+    togglePlayMode() {
+        window.AppState.playMode = window.AppState.playMode === 'song' ? 'pattern' : 'song';
+        const btn = document.getElementById('btn-play-mode');
+        if (btn) {
+            btn.innerText = window.AppState.playMode === 'song' ? 'SONG' : 'PAT';
+            btn.classList.toggle('text-green', window.AppState.playMode === 'song');
+        }
+        if (window.logToScreen) window.logToScreen(`Play Mode: ${window.AppState.playMode.toUpperCase()}`);
+    }
+
+    toggleFillMode() {
+        window.AppState.fillMode = !window.AppState.fillMode;
+        const btn = document.getElementById('btn-fill');
+        if (btn) btn.classList.toggle('text-green', window.AppState.fillMode);
+        if (window.logToScreen) window.logToScreen(`Fill Mode: ${window.AppState.fillMode ? 'ON' : 'OFF'}`);
+    }
+
+    // Waveform select: analog waveform or wavetable index, depending on the engine shown
+    setWaveformChoice(val) {
         const s = window.audioEngine.getSynth(window.AppState.activeView);
-        if (s) { s.setWaveform(s.params.waveform === 'sawtooth' ? 'square' : 'sawtooth'); this.syncControls(s.id); }
+        if (!s) return;
+        const note = this.getLockNote();
+        const engine = (note && note.locks && note.locks.engine) || s.params.engine;
+        const param = engine === 'wavetable' ? 'wtTable' : 'waveform';
+        const value = param === 'wtTable' ? parseInt(val) : val;
+        if (note) this.setNoteLock(param, value);
+        else {
+            if (param === 'wtTable') s.setWavetable(value); else s.setWaveform(value);
+            this.syncControls(s.id);
+        }
+    }
+
+    // Fills the waveform select for an engine (hidden for FM: sine operators)
+    renderWaveformSelect(p) {
+        const wSel = document.getElementById('waveform-select');
+        if (!wSel) return;
+        const wavetable = p.engine === 'wavetable' && window.OscEngine;
+        const options = wavetable
+            ? window.OscEngine.WAVETABLES.map((t, i) => [i, t.name])
+            : [['sawtooth', 'SAW'], ['square', 'SQR']];
+        const key = wavetable ? 'wt' : 'analog';
+        if (wSel.dataset.options !== key) {
+            wSel.innerHTML = options.map(([v, label]) => `<option value="${v}">${label}</option>`).join('');
+            wSel.dataset.options = key;
+        }
+        wSel.value = wavetable ? p.wtTable : p.waveform;
+        wSel.classList.toggle('hidden', p.engine === 'fm');
+    }
+
+    // LFO settings + matrix slots of the active synth
+    renderModMatrix(s) {
+        const c = document.getElementById('mod-matrix');
+        if (!c || !window.LFO) return;
+        const p = s.params;
+        const labels = { cutoff: 'CUT', resonance: 'RES', drive: 'DRV', pitch: 'PITCH', volume: 'VOL', pan: 'PAN', wtPos: 'W.POS' };
+        const opts = (list, cur, fmt = v => v) => list.map(v => `<option value="${v}" ${v === cur ? 'selected' : ''}>${fmt(v)}</option>`).join('');
+
+        let html = '';
+        p.lfos.forEach((l, i) => {
+            const rate = l.sync
+                ? `<select class="variant-select" data-lfo="${i}" data-key="division">${opts(Object.keys(window.LFO.DIVISIONS), l.division)}</select>`
+                : `<input type="number" class="trig-input" data-lfo="${i}" data-key="rate" min="0" max="100" value="${l.rate}" title="Rate (0.05-20 Hz)">`;
+            html += `<div class="mod-row">
+                <span class="label-mini text-purple">LFO${i + 1}</span>
+                <select class="variant-select" data-lfo="${i}" data-key="shape">${opts(window.LFO.SHAPES, l.shape, v => v.toUpperCase())}</select>
+                ${rate}
+                <button class="btn-mod ${l.sync ? 'active' : ''}" data-lfo="${i}" data-key="sync">SYNC</button>
+                <button class="btn-mod ${l.retrig ? 'active' : ''}" data-lfo="${i}" data-key="retrig" title="Restart phase on every note">RTRG</button>
+            </div>`;
+        });
+        p.mods.forEach((m, i) => {
+            html += `<div class="mod-row">
+                <select class="variant-select" data-slot="${i}" data-key="src">${opts(p.lfos.map((_, n) => n), m.src, n => `LFO${n + 1}`)}</select>
+                <select class="variant-select" data-slot="${i}" data-key="dest"><option value="">OFF</option>${opts(Object.keys(labels), m.dest, d => labels[d])}</select>
+                <input type="number" class="trig-input" data-slot="${i}" data-key="amount" min="-100" max="100" value="${m.amount}">
+            </div>`;
+        });
+        c.innerHTML = html;
+
+        c.querySelectorAll('[data-lfo]').forEach(el => {
+            const idx = parseInt(el.dataset.lfo), key = el.dataset.key;
+            if (el.tagName === 'BUTTON') el.onclick = () => { s.setLfo(idx, key, !p.lfos[idx][key]); this.renderModMatrix(s); };
+            else el.onchange = (e) => {
+                const v = key === 'rate' ? Math.max(0, Math.min(100, parseInt(e.target.value) || 0)) : e.target.value;
+                s.setLfo(idx, key, v);
+                this.renderModMatrix(s);
+            };
+        });
+        c.querySelectorAll('[data-slot]').forEach(el => {
+            const idx = parseInt(el.dataset.slot), key = el.dataset.key;
+            el.onchange = (e) => {
+                const v = key === 'dest' ? e.target.value : parseInt(e.target.value) || 0;
+                s.setModSlot(idx, key, v);
+                this.renderModMatrix(s);
+            };
+        });
+    }
+
+    // --- Insert FX ---
+    renderBassInserts(s) {
+        const c = document.getElementById('insert-chain');
+        if (!c) return;
+        this.renderInsertChain(c, s.params.inserts, {
+            apply: (slots) => { s.setInserts(slots); this.renderBassInserts(s); },
+            setParam: (i, key, val) => s.setInsertParam(i, key, val)
+        });
+    }
+
+    /**
+     * Slot list editor shared by the bass and drum editors.
+     * @param {object} actions - { apply(slots) (structural edits, re-renders), setParam(index, key, val) }
+     * @param {string} header - Extra markup in front of the ADD row
+     */
+    renderInsertChain(c, slots, actions, header = '') {
+        if (!window.InsertFX) return;
+        const fx = window.InsertFX;
+        let html = `<div class="mod-row">${header}
+            <span class="label-mini text-purple">INSERTS</span>
+            <select class="variant-select" data-ins="type">${fx.TYPES.map(t => `<option value="${t}">${fx.label(t)}</option>`).join('')}</select>
+            <button class="btn-mod" data-ins="add" ${slots.length >= fx.MAX_SLOTS ? 'disabled' : ''}>ADD</button>
+        </div>`;
+        slots.forEach((slot, i) => {
+            const knobs = (fx.PARAMS[slot.type] || []).map(([key, label, , choices]) => choices
+                ? `<select class="variant-select" data-slot="${i}" data-key="${key}" title="${label}">${choices.map((c, n) => `<option value="${n}" ${n === slot.params[key] ? 'selected' : ''}>${label} ${c}</option>`).join('')}</select>`
+                : `<input type="number" class="trig-input" data-slot="${i}" data-key="${key}" min="0" max="100" value="${slot.params[key]}" title="${label}">`).join('');
+            html += `<div class="mod-row">
+                <span class="label-mini">${i + 1}.${fx.label(slot.type)}</span>
+                <button class="btn-mod ${slot.bypass ? 'active' : ''}" data-slot="${i}" data-op="bypass" title="Bypass">BYP</button>
+                ${knobs}
+                <button class="btn-mod" data-slot="${i}" data-op="up" title="Move up">&uarr;</button>
+                <button class="btn-mod" data-slot="${i}" data-op="down" title="Move down">&darr;</button>
+                <button class="btn-mod" data-slot="${i}" data-op="remove" title="Remove">&times;</button>
+            </div>`;
+        });
+        c.innerHTML = html;
+
+        c.querySelector('[data-ins="add"]').onclick = () => actions.apply(fx.add(slots, c.querySelector('[data-ins="type"]').value));
+        c.querySelectorAll('button[data-op]').forEach(el => {
+            const i = parseInt(el.dataset.slot);
+            const ops = {
+                bypass: () => fx.toggleBypass(slots, i),
+                up: () => fx.move(slots, i, -1),
+                down: () => fx.move(slots, i, 1),
+                remove: () => fx.remove(slots, i)
+            };
+            el.onclick = (e) => { e.stopPropagation(); actions.apply(ops[el.dataset.op]()); };
+        });
+        c.querySelectorAll('[data-key]').forEach(el => {
+            el.onchange = (e) => {
+                const val = Math.max(0, Math.min(100, parseInt(e.target.value) || 0));
+                e.target.value = val;
+                actions.setParam(parseInt(el.dataset.slot), el.dataset.key, val);
+            };
+        });
+    }
+
+    // 303 preset (classic decay/accent shapes) <-> free ADSR envelopes
+    toggleEnvMode() {
+        const s = window.audioEngine.getSynth(window.AppState.activeView);
+        if (s) { s.setEnvMode(s.params.envMode === 'adsr' ? '303' : 'adsr'); this.syncControls(s.id); }
     }
 
     toggleTransport() {
@@ -474,7 +952,11 @@ class UIController {
             const now = window.audioEngine.ctx.currentTime;
             if (window.visualQueue[0].time <= now) {
                 const ev = window.visualQueue.shift();
-                if (ev.step === 0) this.renderTrackBar();
+                if (ev.step === 0) {
+                    this.renderTrackBar();
+                    const len = window.timeMatrix.getBlockLength(window.timeMatrix.blocks[ev.block]);
+                    if (len !== this.clockSteps) this.initPlayClock(len);
+                }
                 if (this.lastDrawnStep !== ev.step) {
                     this.updatePlayClock(ev.step);
                     if (window.AppState.followPlayback && ev.block !== window.AppState.editingBlock) {
@@ -483,13 +965,17 @@ class UIController {
                         this.renderTrackBar();
                     }
                     if (ev.block === window.AppState.editingBlock) {
-                        window.timeMatrix.highlightPlayingStep(ev.step);
-                        if (ev.step % 4 === 0) this.blinkLed();
+                        // Bass lanes may be looping on their own length
+                        const view = window.AppState.activeView;
+                        const blk = window.timeMatrix.blocks[ev.block];
+                        window.timeMatrix.highlightPlayingStep(view === 'drum' ? ev.step : window.timeMatrix.getLanePosition(blk, view, ev.step, ev.pass || 0));
+                        if (ev.step % window.timeMatrix.getStepsPerBeat(window.timeMatrix.blocks[ev.block]) === 0) this.blinkLed();
                     } else window.timeMatrix.highlightPlayingStep(-1);
                     this.lastDrawnStep = ev.step;
                 }
             } else break;
         }
+        this.updateMeters();
         requestAnimationFrame(() => this.renderLoop());
     }
 
@@ -497,7 +983,9 @@ class UIController {
         if (viewId === 'drum') return;
         const s = window.audioEngine.getSynth(viewId);
         if (!s) return;
-        const p = s.params;
+        // In lock mode the controls show the selected note's locked values
+        const lockNote = s.id === window.AppState.activeView ? this.getLockNote() : null;
+        const p = lockNote && lockNote.locks ? { ...s.params, ...lockNote.locks } : s.params;
 
         const setVal = (id, val) => { const el = document.getElementById(id); if (el) el.value = Math.round(val); };
         setVal('vol-slider', p.volume); setVal('dist-slider', p.distortion);
@@ -512,8 +1000,27 @@ class UIController {
         setVal('acc-digital', p.accentInt); setVal('tone-digital', p.distTone);
         setVal('dgain-digital', p.distGain);
 
-        const wvBtn = document.getElementById('btn-waveform');
-        if (wvBtn) wvBtn.innerHTML = p.waveform === 'square' ? '<span class="wave-symbol">Π</span> SQR' : '<span class="wave-symbol">~</span> SAW';
+        setVal('uni-slider', p.unison); setVal('det-slider', p.detune);
+        setVal('wide-slider', p.width); setVal('sub-slider', p.sub);
+        setVal('uni-digital', p.unison); setVal('det-digital', p.detune);
+        setVal('wide-digital', p.width); setVal('sub-digital', p.sub);
+
+        UIController.ENV_CONTROLS.forEach(([id, param]) => { setVal(`${id}-slider`, p[param]); setVal(`${id}-digital`, p[param]); });
+        UIController.ENGINE_CONTROLS.forEach(([id, param]) => { setVal(`${id}-slider`, p[param]); setVal(`${id}-digital`, p[param]); });
+        document.querySelectorAll('[data-engine]').forEach(el => el.classList.toggle('hidden', el.dataset.engine !== p.engine));
+        const eSel = document.getElementById('engine-select');
+        if (eSel) eSel.value = p.engine;
+        this.renderWaveformSelect(p);
+        const fSel = document.getElementById('filter-type-select');
+        if (fSel) fSel.value = p.filterType;
+        const envBtn = document.getElementById('btn-env-mode');
+        if (envBtn) {
+            envBtn.innerText = p.envMode === 'adsr' ? 'ENV ADSR' : 'ENV 303';
+            envBtn.classList.toggle('active', p.envMode === 'adsr');
+        }
+
+        this.renderModMatrix(s);
+        this.renderBassInserts(s);
     }
 
     updateEditors() {
@@ -534,18 +1041,115 @@ class UIController {
 
         const slideBtn = document.getElementById('btn-toggle-slide');
         const accBtn = document.getElementById('btn-toggle-accent');
+        const lockBtn = document.getElementById('btn-toggle-plock');
+        const clearBtn = document.getElementById('btn-clear-locks');
         if (slideBtn) slideBtn.classList.remove('active');
         if (accBtn) accBtn.classList.remove('active');
+        if (lockBtn) lockBtn.classList.toggle('active', this.lockMode);
+        if (clearBtn) clearBtn.classList.remove('active');
+
+        const nudgeD = document.getElementById('nudge-display');
+        if (nudgeD) nudgeD.innerText = '0';
+        const probIn = document.getElementById('trig-prob');
+        const condSel = document.getElementById('trig-cond');
+        const gateIn = document.getElementById('trig-gate');
+        if (probIn) probIn.value = 100;
+        if (condSel) condSel.value = '';
+        if (gateIn) gateIn.value = window.TimeMatrix.DEFAULT_GATE;
+
+        const laneIn = document.getElementById('lane-length');
+        if (laneIn && window.AppState.activeView !== 'drum') {
+            laneIn.value = window.timeMatrix.getLaneLength(window.timeMatrix.blocks[window.AppState.editingBlock], window.AppState.activeView);
+        }
 
         if (window.AppState.activeView !== 'drum') {
             const note = window.timeMatrix.blocks[window.AppState.editingBlock].tracks[window.AppState.activeView][window.AppState.selectedStep];
             if (note) {
                 if (note.slide && slideBtn) slideBtn.classList.add('active');
                 if (note.accent && accBtn) accBtn.classList.add('active');
+                if (nudgeD) nudgeD.innerText = Math.round((note.nudge || 0) * 100);
+                if (probIn) probIn.value = (note.prob !== undefined) ? note.prob : 100;
+                if (condSel) condSel.value = note.cond || '';
+                if (gateIn) gateIn.value = note.gate || window.TimeMatrix.DEFAULT_GATE;
+                if (clearBtn && window.TimeMatrix.hasLocks(note)) clearBtn.classList.add('active');
             }
+            if (this.lockMode) this.syncControls(window.AppState.activeView);
         }
         window.timeMatrix.selectedStep = window.AppState.selectedStep;
         window.timeMatrix.render(window.AppState.activeView, window.AppState.editingBlock);
+        this.renderAutomationLane();
+    }
+
+    /**
+     * Lane shown under the matrix: the edited block's own lane, or the stretch of the song lane it plays.
+     * @returns {object|null} { blockIdx (null = song), offset: lane position of the block's step 0 } (null = block not in the song)
+     */
+    getAutomationView() {
+        const tm = window.timeMatrix;
+        if (this.autoScope === 'block') return { blockIdx: window.AppState.editingBlock, offset: 0 };
+        const pos = tm.findOrderPosition(window.AppState.editingBlock);
+        return pos < 0 ? null : { blockIdx: null, offset: tm.getSongStepOffset(pos) };
+    }
+
+    // One column per step: bar = lane value, top line = breakpoint (orange = exponential segment)
+    renderAutomationLane() {
+        const c = document.getElementById('auto-lane');
+        if (!c || !window.Automation) return;
+        const tm = window.timeMatrix;
+
+        const sel = document.getElementById('auto-target');
+        const targets = window.Automation.getTargets();
+        if (!targets.some(t => t.id === this.autoTarget)) this.autoTarget = targets[0].id;
+        if (sel) {
+            sel.innerHTML = targets.map(t => `<option value="${t.id}">${t.label}</option>`).join('');
+            sel.value = this.autoTarget;
+        }
+        const scopeBtn = document.getElementById('btn-auto-scope');
+        if (scopeBtn) scopeBtn.innerText = this.autoScope === 'block' ? 'BLOCK' : 'SONG';
+        const curveBtn = document.getElementById('btn-auto-curve');
+        if (curveBtn) curveBtn.innerText = this.autoCurve === 'lin' ? 'LIN' : 'EXP';
+
+        c.innerHTML = '';
+        const view = this.getAutomationView();
+        c.classList.toggle('auto-lane-off', !view);
+        if (!view) {
+            c.innerHTML = '<span class="song-lane-empty">BLOCK NOT IN SONG</span>';
+            return;
+        }
+
+        const lanes = tm.getAutomationLanes(view.blockIdx);
+        const points = lanes[this.autoTarget] || [];
+        const range = window.Automation.range(this.autoTarget);
+        const len = tm.getBlockLength(tm.blocks[window.AppState.editingBlock]);
+        for (let i = 0; i < len; i++) {
+            const pos = view.offset + i;
+            const v = window.Automation.valueAt(points, pos);
+            const point = points.find(p => p.pos === pos);
+            const col = document.createElement('div');
+            col.className = 'auto-col';
+            if (i === window.AppState.selectedStep) col.classList.add('selected');
+            if (point) col.classList.add('auto-point');
+            if (point && point.curve === 'exp') col.classList.add('auto-exp');
+            const bar = document.createElement('div');
+            bar.className = 'auto-bar';
+            bar.style.height = v === null ? '0%' : `${((v - range[0]) / (range[1] - range[0])) * 100}%`;
+            col.appendChild(bar);
+
+            // Click height sets the point value; right click removes it
+            col.onclick = (e) => {
+                const r = col.getBoundingClientRect();
+                const f = r.height ? 1 - (e.clientY - r.top) / r.height : 0;
+                const val = Math.round(range[0] + Math.max(0, Math.min(1, f)) * (range[1] - range[0]));
+                tm.setAutomationPoint(view.blockIdx, this.autoTarget, pos, val, this.autoCurve);
+                this.renderAutomationLane();
+            };
+            col.oncontextmenu = (e) => {
+                e.preventDefault();
+                tm.removeAutomationPoint(view.blockIdx, this.autoTarget, pos);
+                this.renderAutomationLane();
+            };
+            c.appendChild(col);
+        }
     }
 
     renderTrackBar() {
@@ -555,6 +1159,16 @@ class UIController {
         document.getElementById('display-total-blocks').innerText = window.timeMatrix.blocks.length;
         document.getElementById('display-current-block').innerText = window.AppState.editingBlock + 1;
 
+        const editBlock = window.timeMatrix.blocks[window.AppState.editingBlock];
+        const lenInput = document.getElementById('block-length-input');
+        if (lenInput && editBlock) lenInput.value = window.timeMatrix.getBlockLength(editBlock);
+        const resSelect = document.getElementById('block-res-select');
+        if (resSelect && editBlock) resSelect.value = editBlock.resolution || '16';
+        const tempoIn = document.getElementById('block-bpm-input');
+        const tempoEnd = document.getElementById('block-bpm-end-input');
+        if (tempoIn && editBlock) tempoIn.value = editBlock.tempo ? editBlock.tempo.start : '';
+        if (tempoEnd && editBlock) tempoEnd.value = editBlock.tempo ? editBlock.tempo.end : '';
+
         window.timeMatrix.blocks.forEach((_, i) => {
             const el = document.createElement('div');
             let classes = 'chain-block';
@@ -565,6 +1179,38 @@ class UIController {
             el.onclick = () => this.goToBlock(i);
             c.appendChild(el);
         });
+
+        this.renderSongLane();
+        this.renderLoopCue();
+    }
+
+    // Arrangement lane: pattern references with repeat counts
+    renderSongLane() {
+        const c = document.getElementById('song-lane');
+        if (!c) return;
+        c.innerHTML = '';
+        const tm = window.timeMatrix;
+        if (window.AppState.selectedSongEntry >= tm.song.length) window.AppState.selectedSongEntry = Math.max(0, tm.song.length - 1);
+
+        if (!tm.song.length) {
+            c.innerHTML = '<span class="song-lane-empty">EMPTY // PLAYS ALL BLOCKS IN ORDER</span>';
+            return;
+        }
+
+        const playingEntry = (window.AppState.isPlaying && window.AppState.playMode === 'song') ? tm.getSongEntryAt(window.AppState.songPosition) : -1;
+        tm.song.forEach((entry, i) => {
+            const el = document.createElement('div');
+            let classes = 'chain-block song-entry';
+            if (i === window.AppState.selectedSongEntry) classes += ' editing';
+            if (i === playingEntry) classes += ' playing';
+            el.className = classes;
+            el.innerHTML = `${entry.pattern + 1}<span class="song-rep">x${entry.repeats}</span>`;
+            el.onclick = () => { window.AppState.selectedSongEntry = i; this.goToBlock(entry.pattern); };
+            c.appendChild(el);
+        });
+
+        const repInput = document.getElementById('song-repeat-input');
+        if (repInput && tm.song[window.AppState.selectedSongEntry]) repInput.value = tm.song[window.AppState.selectedSongEntry].repeats;
     }
 
     renderInstrumentTabs() {
@@ -618,6 +1264,8 @@ class UIController {
         `;
         c.appendChild(masterRow);
 
+        const block = window.timeMatrix.blocks[window.AppState.editingBlock];
+
         // Bind Master Input
         const mstInput = masterRow.querySelector('#drum-master-vol');
         mstInput.onchange = (e) => {
@@ -632,7 +1280,8 @@ class UIController {
             // Skip inactive channels (Variant 0)
             if (ch.variant === 0) return;
 
-            const act = cur.includes(ch.id);
+            const hit = window.TimeMatrix.findDrumHit(cur, ch.id);
+            const act = !!hit;
             const colIndex = (ch.colorId !== undefined) ? ch.colorId : ch.id;
             const color = window.drumSynth.channelColors[colIndex % 9];
 
@@ -645,11 +1294,91 @@ class UIController {
             infoDiv.innerHTML = `<div class="drum-color-tag" style="background:${color};box-shadow:0 0 5px ${color}"></div><span class="drum-label">${ch.name}</span>`;
             infoDiv.onclick = () => {
                 if (window.audioEngine) window.audioEngine.resume();
-                if (act) cur.splice(cur.indexOf(ch.id), 1);
-                else { cur.push(ch.id); window.audioEngine.previewDrum(ch.id); }
+                if (act) cur.splice(cur.indexOf(hit), 1);
+                else {
+                    const newHit = window.TimeMatrix.makeDrumHit(ch.id);
+                    cur.push(newHit);
+                    window.audioEngine.previewDrum(ch.id, newHit);
+                }
                 this.updateEditors();
             };
 
+            // Hit Dynamics (only for hits on this step): Velocity, Decay %, Pitch st, Micro-timing %
+            let hitDiv = null;
+            if (act) {
+                hitDiv = document.createElement('div');
+                hitDiv.className = 'drum-hit-ctrl';
+                const locks = hit.locks || {};
+                hitDiv.innerHTML = `
+                    <label class="drum-hit-lbl">VEL<input type="number" class="drum-vol-input" data-prop="vel" min="1" max="127" value="${hit.vel}"></label>
+                    <label class="drum-hit-lbl">DEC<input type="number" class="drum-vol-input" data-prop="decay" min="-50" max="50" value="${hit.decay || 0}"></label>
+                    <label class="drum-hit-lbl">PIT<input type="number" class="drum-vol-input" data-prop="pitch" min="-12" max="12" value="${hit.pitch || 0}"></label>
+                    <label class="drum-hit-lbl">RAT<input type="number" class="drum-vol-input" data-prop="ratchet" min="1" max="4" value="${hit.ratchet || 1}"></label>
+                    <label class="drum-hit-lbl" title="Micro-timing (% of a step)">NDG<input type="number" class="drum-vol-input" data-prop="nudge" min="-50" max="50" value="${Math.round((hit.nudge || 0) * 100)}"></label>
+                    <button class="drum-vol-btn drum-flam-btn ${hit.flam ? 'active' : ''}" title="Flam">F</button>
+                    <label class="drum-hit-lbl">PRB<input type="number" class="drum-vol-input" data-prop="prob" min="0" max="100" value="${hit.prob !== undefined ? hit.prob : 100}"></label>
+                    <select class="variant-select drum-cond-select" title="Trig Condition">${window.TrigConditions.CONDITIONS.map(c => `<option value="${c}" ${c === (hit.cond || '') ? 'selected' : ''}>${window.TrigConditions.label(c)}</option>`).join('')}</select>
+                    <label class="drum-hit-lbl lock-lbl">LVOL<input type="number" class="drum-vol-input drum-lock-input" data-lock="volume" min="0" max="100" placeholder="--" value="${locks.volume !== undefined ? locks.volume : ''}"></label>
+                    <select class="variant-select drum-lock-select" title="Variant Lock">
+                        <option value="" ${locks.variant === undefined ? 'selected' : ''}>VAR --</option>
+                        ${[0, 1, 2, 3, 4].map(v => `<option value="${v}" ${locks.variant === v ? 'selected' : ''}>${v === 0 ? 'OFF' : `VAR ${v}`}</option>`).join('')}
+                    </select>
+                `;
+                const limits = { vel: [1, 127], decay: [-50, 50], pitch: [-12, 12], ratchet: [1, 4], prob: [0, 100] };
+                const condSel = hitDiv.querySelector('.drum-cond-select');
+                condSel.onclick = (e) => e.stopPropagation();
+                condSel.onchange = (e) => { hit.cond = e.target.value; this.updateEditors(); };
+                hitDiv.querySelector('.drum-flam-btn').onclick = (e) => {
+                    e.stopPropagation();
+                    hit.flam = !hit.flam;
+                    window.audioEngine.previewDrum(ch.id, hit);
+                    this.updateEditors();
+                };
+                // Parameter locks: empty = follow the channel
+                const setLock = (key, val) => {
+                    const next = { ...(hit.locks || {}) };
+                    if (val === null) delete next[key];
+                    else next[key] = val;
+                    if (Object.keys(next).length) hit.locks = next;
+                    else delete hit.locks;
+                    window.audioEngine.previewDrum(ch.id, hit);
+                    this.updateEditors();
+                };
+                const lockSel = hitDiv.querySelector('.drum-lock-select');
+                lockSel.onclick = (e) => e.stopPropagation();
+                lockSel.onchange = (e) => setLock('variant', e.target.value === '' ? null : parseInt(e.target.value));
+                const lockVol = hitDiv.querySelector('.drum-lock-input');
+                lockVol.onclick = (e) => e.stopPropagation();
+                lockVol.onchange = (e) => {
+                    const val = parseInt(e.target.value);
+                    setLock('volume', isNaN(val) ? null : Math.max(0, Math.min(100, val)));
+                };
+                hitDiv.querySelectorAll('input:not(.drum-lock-input)').forEach(inp => {
+                    inp.onclick = (e) => e.stopPropagation();
+                    inp.onchange = (e) => {
+                        const prop = inp.dataset.prop;
+                        const val = parseInt(e.target.value);
+                        if (isNaN(val)) return;
+                        if (prop === 'nudge') hit.nudge = window.TimeMatrix.clampNudge(val / 100);
+                        else hit[prop] = Math.max(limits[prop][0], Math.min(limits[prop][1], val));
+                        window.audioEngine.previewDrum(ch.id, hit);
+                        this.updateEditors();
+                    };
+                });
+            }
+
+            // Polymetric lane length for this channel
+            const laneDiv = document.createElement('label');
+            laneDiv.className = 'drum-hit-lbl';
+            laneDiv.innerHTML = `LEN<input type="number" class="drum-vol-input" min="1" max="64" value="${window.timeMatrix.getLaneLength(block, `drum-${ch.id}`)}">`;
+            const laneInput = laneDiv.querySelector('input');
+            laneInput.onclick = (e) => e.stopPropagation();
+            laneInput.onchange = (e) => {
+                window.timeMatrix.setLaneLength(window.AppState.editingBlock, `drum-${ch.id}`, e.target.value);
+                this.updateEditors();
+            };
+            laneDiv.onclick = (e) => e.stopPropagation();
+
             // Volume Control (Inputs + Buttons)
             const volDiv = document.createElement('div');
             volDiv.className = 'drum-vol-ctrl';
@@ -668,10 +1397,31 @@ class UIController {
             };
 
             row.appendChild(infoDiv);
+            if (hitDiv) row.appendChild(hitDiv);
+            row.appendChild(laneDiv);
             row.appendChild(volDiv);
             c.appendChild(row);
         });
 
+        // 3. Insert chain of one channel
+        const drums = window.drumSynth;
+        const insCh = drums.channels[this.insertChannel] || drums.channels[0];
+        const insDiv = document.createElement('div');
+        insDiv.className = 'mod-matrix';
+        c.appendChild(insDiv);
+        const renderInserts = () => {
+            const chSelect = `<select class="variant-select" data-ins="channel">${drums.channels.map(ch => `<option value="${ch.id}" ${ch.id === insCh.id ? 'selected' : ''}>${ch.name}</option>`).join('')}</select>`;
+            this.renderInsertChain(insDiv, insCh.inserts, {
+                apply: (slots) => { drums.setChannelInserts(insCh.id, slots); renderInserts(); },
+                setParam: (i, key, val) => drums.setChannelInsertParam(insCh.id, i, key, val)
+            }, chSelect);
+            insDiv.querySelector('[data-ins="channel"]').onchange = (e) => {
+                this.insertChannel = parseInt(e.target.value);
+                this.renderDrumRows();
+            };
+        };
+        renderInserts();
+
         // Re-bind repeater buttons
         this.setupDrumRepeaters();
     }
@@ -738,6 +1488,235 @@ class UIController {
         });
     }
 
+    renderGrooveMenu() {
+        const groove = window.grooveEngine;
+        if (!groove) return;
+
+        const swingSlider = document.getElementById('swing-slider');
+        if (swingSlider) { swingSlider.value = window.AppState.swing; document.getElementById('swing-display').innerText = window.AppState.swing; }
+
+        const names = groove.getTemplateNames();
+        const buildSelect = (current, emptyLabel) => {
+            const sel = document.createElement('select');
+            sel.className = 'variant-select';
+            sel.innerHTML = `<option value="">${emptyLabel}</option>` +
+                names.map(n => `<option value="${n}" ${n === current ? 'selected' : ''}>${n}</option>`).join('');
+            return sel;
+        };
+
+        // 1. Assignments (Editing Block + Each Track)
+        const assign = document.getElementById('groove-assign-container');
+        if (assign) {
+            assign.innerHTML = '';
+            const addRow = (label, current, emptyLabel, onPick) => {
+                const r = document.createElement('div');
+                r.className = 'menu-item-row';
+                r.innerHTML = `<span class="text-green">${label}</span>`;
+                const sel = buildSelect(current, emptyLabel);
+                sel.onchange = (e) => onPick(e.target.value || null);
+                r.appendChild(sel);
+                assign.appendChild(r);
+            };
+
+            const bIdx = window.AppState.editingBlock;
+            const block = window.timeMatrix.blocks[bIdx];
+            if (block) addRow(`BLOCK ${bIdx + 1}`, block.groove, 'GLOBAL SWING', (v) => { block.groove = v; });
+
+            const trackIds = window.audioEngine.bassSynths.map(s => s.id).concat('drum');
+            trackIds.forEach(id => {
+                addRow(id.toUpperCase(), groove.trackGrooves[id], 'BLOCK / GLOBAL', (v) => groove.setTrackGroove(id, v));
+            });
+        }
+
+        // 2. User Template Editor
+        const tplC = document.getElementById('groove-template-container');
+        if (tplC) {
+            tplC.innerHTML = '';
+            Object.keys(groove.userTemplates).forEach(name => {
+                const table = groove.userTemplates[name];
+                const r = document.createElement('div');
+                r.className = 'menu-item-row groove-tpl-row';
+                r.innerHTML = `<span class="text-green">${name}</span><div class="groove-steps">` +
+                    table.map((v, i) => `<input type="number" class="groove-step-input" min="-50" max="50" data-step="${i}" value="${Math.round(v * 100)}">`).join('') +
+                    `</div><button class="btn-icon-del">X</button>`;
+
+                r.querySelectorAll('.groove-step-input').forEach(inp => {
+                    inp.onchange = (e) => {
+                        const next = [...groove.userTemplates[name]];
+                        next[parseInt(inp.dataset.step)] = parseInt(e.target.value) / 100;
+                        groove.setUserTemplate(name, next);
+                    };
+                });
+                r.querySelector('.btn-icon-del').onclick = () => {
+                    groove.removeUserTemplate(name);
+                    this.renderGrooveMenu();
+                };
+                tplC.appendChild(r);
+            });
+        }
+    }
+
+    renderSendMenu() {
+        const sendFx = window.audioEngine ? window.audioEngine.sendFx : null;
+        if (!sendFx) return;
+        const buses = window.SendFX.BUSES;
+        const num = (attrs, val) => `<input type="number" class="trig-input" min="0" max="100" ${attrs} value="${val}">`;
+
+        // 1. Bus Settings
+        const busC = document.getElementById('send-bus-container');
+        if (busC) {
+            busC.innerHTML = '';
+            const labels = { feedback: 'FB', tone: 'TONE', level: 'LVL', size: 'SIZE', damp: 'DAMP', predelay: 'PRE' };
+            buses.forEach(bus => {
+                const st = sendFx.settings[bus];
+                const r = document.createElement('div');
+                r.className = 'menu-item-row';
+                r.innerHTML = `<span class="text-green">${window.SendFX.label(bus)}</span><div class="send-ctrls">` +
+                    Object.keys(st).map(k => k === 'division'
+                        ? `<select class="variant-select" data-key="division">${Object.keys(window.SendFX.DIVISIONS).map(d => `<option value="${d}" ${d === st.division ? 'selected' : ''}>${d}</option>`).join('')}</select>`
+                        : `<label class="label-mini">${labels[k] || k.toUpperCase()} ${num(`data-key="${k}"`, st[k])}</label>`).join('') +
+                    `</div>`;
+                r.querySelectorAll('[data-key]').forEach(el => {
+                    el.onchange = (e) => { sendFx.setParam(bus, el.dataset.key, e.target.value); this.renderSendMenu(); };
+                });
+                busC.appendChild(r);
+            });
+        }
+
+        // 2. Send Levels (bass synths + drum channels)
+        const lvlC = document.getElementById('send-level-container');
+        if (lvlC) {
+            lvlC.innerHTML = '';
+            const addRow = (label, sends, onSet) => {
+                const r = document.createElement('div');
+                r.className = 'menu-item-row';
+                r.innerHTML = `<span class="text-green">${label}</span><div class="send-ctrls">` +
+                    buses.map(b => `<label class="label-mini">${window.SendFX.label(b)} ${num(`data-bus="${b}"`, sends[b] || 0)}</label>`).join('') +
+                    `</div>`;
+                r.querySelectorAll('[data-bus]').forEach(inp => {
+                    inp.onchange = (e) => {
+                        const val = parseInt(e.target.value);
+                        if (!isNaN(val)) onSet(inp.dataset.bus, val);
+                        this.renderSendMenu();
+                    };
+                });
+                lvlC.appendChild(r);
+            };
+            window.audioEngine.bassSynths.forEach(s => addRow(s.id.toUpperCase(), s.params.sends, (b, v) => s.setSend(b, v)));
+            if (window.drumSynth) {
+                window.drumSynth.channels.forEach(ch => addRow(ch.name, ch.sends, (b, v) => window.drumSynth.setChannelSend(ch.id, b, v)));
+            }
+        }
+
+        // 3. Sidechain (source + envelope, then target toggles)
+        const duckC = document.getElementById('duck-container');
+        const sidechain = window.audioEngine.sidechain;
+        if (duckC && sidechain) {
+            const st = sidechain.settings;
+            const channels = window.drumSynth ? window.drumSynth.channels : [];
+            duckC.innerHTML = `
+                <div class="menu-item-row"><span class="text-green">SOURCE</span><div class="send-ctrls">
+                    <select class="variant-select" data-key="source">${channels.map(ch => `<option value="${ch.id}" ${ch.id === st.source ? 'selected' : ''}>${ch.name}</option>`).join('')}</select>
+                    <label class="label-mini">DEPTH ${num('data-key="depth"', st.depth)}</label>
+                    <label class="label-mini">ATK ${num('data-key="attack"', st.attack)}</label>
+                    <label class="label-mini">REL ${num('data-key="release"', st.release)}</label>
+                    <select class="variant-select" data-key="curve">${window.Sidechain.CURVES.map(c => `<option value="${c}" ${c === st.curve ? 'selected' : ''}>${window.Sidechain.label(c)}</option>`).join('')}</select>
+                </div></div>
+                <div class="menu-item-row"><span class="text-green">DUCK</span><div class="send-ctrls">
+                    ${window.Sidechain.getTargets().map(t => `<button class="btn-mod ${st.targets.includes(t.id) ? 'active' : ''}" data-duck="${t.id}">${t.label}</button>`).join('')}
+                </div></div>`;
+            duckC.querySelectorAll('[data-key]').forEach(el => {
+                el.onchange = (e) => { sidechain.setParam(el.dataset.key, e.target.value); this.renderSendMenu(); };
+            });
+            duckC.querySelectorAll('[data-duck]').forEach(el => {
+                el.onclick = () => { sidechain.toggleTarget(el.dataset.duck); this.renderSendMenu(); };
+            });
+        }
+    }
+
+    // --- Mixer ---
+    renderMixer() {
+        const stripC = document.getElementById('mixer-strip-container');
+        const masterC = document.getElementById('mixer-master-container');
+        if (!stripC || !masterC || !window.Mixer) return;
+        const ae = window.audioEngine;
+        const drums = window.drumSynth;
+        this.meters = [];
+
+        const createMeter = (analyser) => {
+            const el = document.createElement('div');
+            el.className = 'mixer-meter';
+            el.innerHTML = '<div class="meter-rms"></div><div class="meter-peak"></div>';
+            this.meters.push({ analyser, el, buf: analyser ? new Float32Array(analyser.fftSize) : null });
+            return el;
+        };
+
+        // 1. Channel Strips: fader + meter, pan, mute / solo
+        stripC.innerHTML = '';
+        const addStrip = (label, st, analyser, set) => {
+            const strip = document.createElement('div');
+            strip.className = 'mixer-strip';
+            strip.innerHTML = `
+                <span class="label-mini text-green">${label}</span>
+                <div class="mixer-body"><input type="range" class="mixer-fader" min="0" max="100" value="${st.volume}" title="Volume"></div>
+                <input type="number" class="trig-input" min="-100" max="100" value="${st.pan}" title="Pan (-100 L .. 100 R)">
+                <div class="send-ctrls">
+                    <button class="btn-mod mute ${st.mute ? 'active' : ''}" title="Mute">M</button>
+                    <button class="btn-mod solo ${st.solo ? 'active' : ''}" title="Solo">S</button>
+                </div>`;
+            strip.querySelector('.mixer-body').appendChild(createMeter(analyser));
+            const fader = strip.querySelector('.mixer-fader');
+            fader.oninput = (e) => set.volume(parseInt(e.target.value));
+            fader.onchange = () => this.updateEditors();
+            strip.querySelector('.trig-input').onchange = (e) => { set.pan(parseInt(e.target.value) || 0); this.renderMixer(); };
+            strip.querySelector('.mute').onclick = () => { set.mute(!st.mute); this.renderMixer(); };
+            strip.querySelector('.solo').onclick = () => { set.solo(!st.solo); this.renderMixer(); };
+            stripC.appendChild(strip);
+        };
+        ae.bassSynths.forEach(s => addStrip(s.id.toUpperCase(), s.params, s.meter, {
+            volume: (v) => s.setVolume(v), pan: (v) => s.setPan(v), mute: (on) => s.setMute(on), solo: (on) => s.setSolo(on)
+        }));
+        if (drums) drums.channels.forEach(ch => addStrip(ch.name, ch, ch.meter, {
+            volume: (v) => drums.setChannelVolume(ch.id, v), pan: (v) => drums.setChannelPan(ch.id, v),
+            mute: (on) => drums.setChannelMute(ch.id, on), solo: (on) => drums.setChannelSolo(ch.id, on)
+        }));
+
+        // 2. Master: fader + meter, compressor settings
+        const st = ae.masterSettings;
+        if (!st) return;
+        const ranges = window.Mixer.MASTER_RANGES;
+        const labels = { threshold: 'THR dB', knee: 'KNEE dB', ratio: 'RATIO', attack: 'ATK ms', release: 'REL ms' };
+        masterC.innerHTML = '';
+        const master = document.createElement('div');
+        master.className = 'mixer-strip master';
+        master.innerHTML = `
+            <div class="mixer-body"><input type="range" class="mixer-fader" data-key="volume" min="0" max="100" value="${st.volume}" title="Master"></div>
+            <div class="send-ctrls">${Object.keys(labels).map(k =>
+                `<label class="label-mini">${labels[k]} <input type="number" class="trig-input" data-key="${k}" min="${ranges[k][0]}" max="${ranges[k][1]}" value="${st[k]}"></label>`).join('')}
+            </div>`;
+        master.querySelector('.mixer-body').appendChild(createMeter(ae.masterMeter));
+        master.querySelectorAll('[data-key]').forEach(el => {
+            const apply = (e) => ae.setMasterParam(el.dataset.key, e.target.value);
+            if (el.type === 'range') el.oninput = apply;
+            else el.onchange = (e) => { apply(e); this.renderMixer(); };
+        });
+        masterC.appendChild(master);
+    }
+
+    // Meters only run while the mixer panel is on screen
+    updateMeters() {
+        if (!this.meters.length) return;
+        const menu = document.getElementById('main-menu');
+        const panel = document.getElementById('panel-mixer');
+        if (!menu || !panel || menu.classList.contains('hidden') || !panel.classList.contains('active')) return;
+        this.meters.forEach(m => {
+            const lvl = window.Mixer.readMeter(m.analyser, m.buf);
+            m.el.querySelector('.meter-rms').style.height = `${window.Mixer.meterPercent(lvl.rms)}%`;
+            m.el.querySelector('.meter-peak').style.bottom = `${window.Mixer.meterPercent(lvl.peak)}%`;
+            m.el.classList.toggle('clip', lvl.peak >= 0);
+        });
+    }
+
     handleColorSwap(id) {
         if (this.pendingColorSwap === null) {
             // First click - Init swap
@@ -903,8 +1882,8 @@ class UIController {
         this.saveSettings();
         // Force redraw or specific style logic if needed
     }
-    initPlayClock() { /* SVG Clock Init */ const s = document.getElementById('play-clock-svg'); if (!s) return; s.innerHTML = ''; const t = 16, r = 45, c = 50, ci = 2 * Math.PI * r, g = 2, d = (ci / t) - g; for (let i = 0; i < t; i++) { const e = document.createElementNS("http://www.w3.org/2000/svg", "circle"); e.setAttribute("r", r); e.setAttribute("cx", c); e.setAttribute("cy", c); e.setAttribute("fill", "transparent"); e.setAttribute("stroke-width", "4"); e.setAttribute("stroke-dasharray", `${d} ${ci - d}`); e.setAttribute("transform", `rotate(${(360 / t) * i},${c},${c})`); e.setAttribute("id", `clock-seg-${i}`); e.setAttribute("stroke", "#333"); s.appendChild(e); } }
-    updatePlayClock(step) { for (let i = 0; i < 16; i++) { const s = document.getElementById(`clock-seg-${i}`); if (s) { if (i === step) { s.setAttribute("stroke", "#00ff41"); s.setAttribute("opacity", "1"); } else if (i < step) { s.setAttribute("stroke", "#004411"); s.setAttribute("opacity", "0.5"); } else { s.setAttribute("stroke", "#222"); s.setAttribute("opacity", "0.3"); } } } }
+    initPlayClock(steps = 16) { /* SVG Clock Init */ const s = document.getElementById('play-clock-svg'); if (!s) return; s.innerHTML = ''; this.clockSteps = steps; const t = steps, r = 45, c = 50, ci = 2 * Math.PI * r, g = 2, d = (ci / t) - g; for (let i = 0; i < t; i++) { const e = document.createElementNS("http://www.w3.org/2000/svg", "circle"); e.setAttribute("r", r); e.setAttribute("cx", c); e.setAttribute("cy", c); e.setAttribute("fill", "transparent"); e.setAttribute("stroke-width", "4"); e.setAttribute("stroke-dasharray", `${d} ${ci - d}`); e.setAttribute("transform", `rotate(${(360 / t) * i},${c},${c})`); e.setAttribute("id", `clock-seg-${i}`); e.setAttribute("stroke", "#333"); s.appendChild(e); } }
+    updatePlayClock(step) { for (let i = 0; i < (this.clockSteps || 16); i++) { const s = document.getElementById(`clock-seg-${i}`); if (s) { if (i === step) { s.setAttribute("stroke", "#00ff41"); s.setAttribute("opacity", "1"); } else if (i < step) { s.setAttribute("stroke", "#004411"); s.setAttribute("opacity", "0.5"); } else { s.setAttribute("stroke", "#222"); s.setAttribute("opacity", "0.3"); } } } }
     blinkLed() { const l = document.getElementById('activity-led'); if (l) { l.style.backgroundColor = '#fff'; l.style.boxShadow = '0 0 8px #fff'; setTimeout(() => { l.style.backgroundColor = ''; l.style.boxShadow = ''; }, 50); } }
     safeClick(id, fn) { const el = document.getElementById(id); if (el) el.onclick = fn; }
 }
@@ -9,11 +9,18 @@ window.AppState = {
     // Transport State
     isPlaying: false,
     bpm: 174,
+    swing: 50, // MPC-style swing % (50 = straight)
     currentPlayStep: 0,
     currentPlayBlock: 0,
+    playMode: 'song', // 'pattern' (loop editing block) | 'song' (arrangement / chain)
+    songPosition: 0, // Index in timeMatrix.getSongOrder()
+    loop: { enabled: false, startPos: 0, startStep: 0, endPos: 0, endStep: 15 }, // Song order position + step (inclusive)
+    pendingCue: null, // Cue number waiting for the next bar line
+    fillMode: false, // Enables 'fill' trig conditions
     
     // Editor State
     editingBlock: 0,
+    selectedSongEntry: 0,
     selectedStep: 0,
     activeView: 'bass-1',
     currentOctave: 3,
@@ -29,7 +36,9 @@ window.AppState = {
     followPlayback: false,
     
     // Export Settings
-    exportReps: 1
+    exportReps: 1,
+    exportRange: 'song', // 'song' | 'loop'
+    renderSeed: 0 // 0 = random seed per render
 };
 
 // --- 2. SHARED QUEUES ---